@@ -0,0 +1,128 @@
+// =============================================================
+// adapters/index.js - Bridging to non-Discord chat platforms
+// =============================================================
+// Part of the community chats somewhere other than Discord (IRC,
+// Matrix...). An "adapter" teaches the bridge one such platform, and
+// each room it connects to is an "endpoint" of a channel type (see
+// "endpoints" in config.js). Relays then work like this:
+//
+//   Discord → outside:  relayMessage/broadcastEmbed call
+//                       sendToEndpoints() with a plain-text version
+//   outside → Discord:  the adapter hands each incoming message to
+//                       onMessage; index.js moderates it and
+//                       bridge.js relays it everywhere else
+//
+// THE ADAPTER INTERFACE
+// An adapter module exports createAdapter(endpoint, { onMessage })
+// and returns an object with:
+//
+//   start()         - Connect. Returns a Promise (resolves once ready).
+//   stop()          - Disconnect for good.
+//   send(outbound)  - Post a message in the room. `outbound` is
+//                     { username, content, attachments }, where
+//                     attachments are [{ name, url }] — other
+//                     platforms get links, not re-uploaded files.
+//
+// and calls onMessage(inbound) for every message posted in the room:
+//
+//   inbound = {
+//     userId,       - Unique across platforms, e.g. "libera:alice"
+//                     (strikes and bans are stored under this ID, so
+//                     it must be something the user can't just change)
+//     username,     - Display name, used as the webhook name on Discord
+//     content,      - Plain text
+//     attachments,  - [{ name, url }], if the platform has any
+//     avatarURL,    - Optional
+//     notify(text), - Optional: message the user privately (strike notices)
+//   }
+//
+// Edits and deletes stay Discord-only: not every platform has them.
+// =============================================================
+
+const { getEndpointTargets } = require('../config');
+
+// Adapter name (the "adapter" field of an endpoint) → adapter module
+const ADAPTERS = {
+  irc: require('./irc'),
+};
+
+// Endpoint ID → running adapter
+const running = new Map();
+
+/**
+ * Connect every endpoint in the config. Incoming messages are passed
+ * to onMessage(endpoint, inbound).
+ */
+function startAdapters(config, onMessage) {
+  for (const [id, settings] of Object.entries(config.endpoints || {})) {
+    const endpoint = { id, ...settings };
+    const adapterModule = ADAPTERS[endpoint.adapter];
+    if (!adapterModule) {
+      console.error(`[Adapters] Endpoint ${id} uses unknown adapter "${endpoint.adapter}" - skipped`);
+      continue;
+    }
+
+    const adapter = adapterModule.createAdapter(endpoint, {
+      onMessage: inbound => onMessage(endpoint, inbound),
+    });
+    running.set(id, adapter);
+    adapter.start()
+      .then(() => console.log(`[Adapters] Connected ${endpoint.adapter} endpoint ${id}`))
+      .catch(err => console.error(`[Adapters] Endpoint ${id} failed to start:`, err.message));
+  }
+}
+
+function stopAdapters() {
+  for (const adapter of running.values()) adapter.stop();
+  running.clear();
+}
+
+/**
+ * Send a message to every endpoint of a channel type in a network.
+ * Failures are logged and otherwise ignored (there's no retry queue
+ * for other platforms; adapters buffer while reconnecting).
+ *
+ * @param {Object} outbound - { username, content, attachments }
+ * @param {string} excludeId - Endpoint the message came from, if any
+ */
+async function sendToEndpoints(config, channelType, network, outbound, excludeId = null) {
+  const endpoints = getEndpointTargets(config, channelType, network, excludeId);
+  await Promise.allSettled(endpoints.map(async (endpoint) => {
+    const adapter = running.get(endpoint.id);
+    if (!adapter) return;
+    try {
+      await adapter.send(outbound);
+    } catch (err) {
+      console.error(`[Adapters] Failed to send to endpoint ${endpoint.id}:`, err.message);
+    }
+  }));
+}
+
+/**
+ * Flatten an embed (news article, LFG post) into plain text for
+ * platforms that don't have embeds.
+ */
+function embedToText(embed) {
+  const data = embed.toJSON ? embed.toJSON() : embed;
+  const lines = [];
+  if (data.title) lines.push(data.url ? `${data.title} (${data.url})` : data.title);
+  if (data.description) lines.push(data.description);
+  for (const field of data.fields || []) lines.push(`${field.name}: ${field.value}`);
+  if (data.footer?.text) lines.push(data.footer.text);
+  return lines.join('\n');
+}
+
+/**
+ * A Discord message's attachments in the adapter format.
+ */
+function toOutboundAttachments(attachments) {
+  return [...attachments.values()].map(att => ({ name: att.name, url: att.url }));
+}
+
+module.exports = {
+  startAdapters,
+  stopAdapters,
+  sendToEndpoints,
+  embedToText,
+  toOutboundAttachments,
+};
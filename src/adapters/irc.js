@@ -0,0 +1,373 @@
+// =============================================================
+// adapters/irc.js - IRC adapter (reference implementation)
+// =============================================================
+// Connects to one IRC channel and bridges it like any other room.
+// See adapters/index.js for the interface every adapter follows.
+//
+// Endpoint options:
+//   host, port      - IRC server (port defaults to 6697 with TLS, 6667 without)
+//   tls             - Use an encrypted connection (default: false)
+//   nick            - The bot's nickname ("_" is added if it's taken)
+//   channel         - Channel to bridge, e.g. "#pdh"
+//   channelKey      - Channel password, if it has one
+//   password        - Server password (PASS), if the server needs one
+//   requireAccount  - Only relay users logged in to services (default: false)
+//
+// WHO IS WHO
+// Nicks can be changed at any time (/nick), so they can't be what
+// strikes and bans are stored under. A user's ID is their services
+// account ("libera:alice") when the server tells us it, and their
+// user@host ("libera:alice@host.example") otherwise. The account
+// comes from the IRCv3 account-tag on each message, or is tracked
+// from extended-join / account-notify and followed across nick
+// changes. With requireAccount, messages from users who aren't
+// logged in aren't relayed, and they're told why (once).
+//
+// LEARNING NOTE ON THE IRC PROTOCOL:
+// IRC is plain text over a TCP connection, one command per line
+// (ending in \r\n). A line looks like
+//   :alice!alice@host PRIVMSG #pdh :hello everyone
+// i.e. an optional ":sender", a command, its parameters, and a
+// last parameter after " :" that may contain spaces. The server
+// sends PING every so often, and we must answer PONG or it
+// disconnects us. "001" is the server's welcome, sent once we're
+// registered, after which we can JOIN the channel.
+// =============================================================
+
+const net = require('net');
+const tls = require('tls');
+
+// Wait this long before reconnecting, doubling on each failure
+const RECONNECT_MIN_MS = 5000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+
+// Servers disconnect clients that send too fast, so lines go out
+// one at a time with a short gap
+const SEND_INTERVAL_MS = 500;
+
+// IRCv3 capabilities that tell us who's logged in to which account
+const ACCOUNT_CAPS = ['account-tag', 'extended-join', 'account-notify'];
+
+// IRC lines are limited to 512 bytes including the command, so the
+// text part is kept well under that
+const MAX_TEXT_BYTES = 400;
+
+// Lines kept while disconnected; the oldest are dropped beyond this
+const MAX_QUEUED_LINES = 100;
+
+// Bold, colour, reset, reverse, italic, strikethrough, underline codes
+const FORMATTING_REGEX = /\x03\d{0,2}(?:,\d{1,2})?|[\x02\x0F\x16\x1D\x1E\x1F]/g;
+const ACTION_REGEX = /^\x01ACTION (.*)\x01$/;
+
+// Any line break ends an IRC line, and most servers treat a lone CR
+// as one too
+const LINE_BREAK_REGEX = /\r\n|\r|\n/;
+// Control characters (NUL, CTCP's \x01, stray CR/LF...) never go out
+// in relayed text, so it can't end the line and start a command
+const CONTROL_REGEX = /[\x00-\x1F\x7F]/g;
+
+/**
+ * Create an IRC adapter for one endpoint.
+ */
+function createAdapter(endpoint, { onMessage }) {
+  const options = endpoint.options || {};
+  const channel = options.channel;
+  const state = {
+    socket: null,
+    buffer: '',
+    nick: options.nick || 'PDHBridge',
+    joined: false,
+    stopped: false,
+    queue: [],
+    reconnectDelay: RECONNECT_MIN_MS,
+    reconnectTimer: null,
+    sendTimer: null,
+    onJoined: null,
+    caps: new Set(),       // Capabilities the server acknowledged
+    offeredCaps: [],       // Capabilities listed so far by CAP LS
+    accounts: new Map(),   // lowercase nick → services account
+    warned: new Set(),     // IDs already told they need an account
+  };
+
+  function start() {
+    state.stopped = false;
+    state.sendTimer = setInterval(sendNextLine, SEND_INTERVAL_MS);
+    return new Promise((resolve) => {
+      state.onJoined = resolve;
+      connect();
+    });
+  }
+
+  function stop() {
+    state.stopped = true;
+    clearTimeout(state.reconnectTimer);
+    clearInterval(state.sendTimer);
+    if (state.socket) {
+      state.socket.end('QUIT :PDH Bridge shutting down\r\n');
+      state.socket.destroy();
+    }
+  }
+
+  function connect() {
+    const port = options.port || (options.tls ? 6697 : 6667);
+    state.buffer = '';
+    state.joined = false;
+    state.caps.clear();
+    state.offeredCaps = [];
+    state.accounts.clear();
+    state.warned.clear();
+    state.socket = options.tls
+      ? tls.connect({ host: options.host, port, servername: options.host })
+      : net.connect({ host: options.host, port });
+    state.socket.setEncoding('utf8');
+
+    state.socket.on('connect', () => {
+      // Servers without CAP ignore this; the rest hold registration
+      // until we send CAP END
+      write('CAP LS 302');
+      if (options.password) write(`PASS ${options.password}`);
+      write(`NICK ${state.nick}`);
+      write(`USER ${state.nick} 0 * :PDH Bridge`);
+    });
+    state.socket.on('data', (chunk) => {
+      state.buffer += chunk;
+      const lines = state.buffer.split(/\r?\n/);
+      state.buffer = lines.pop();
+      for (const line of lines) {
+        if (line) handleLine(parseLine(line));
+      }
+    });
+    state.socket.on('error', (err) => {
+      console.error(`[IRC] ${endpoint.id}: ${err.message}`);
+    });
+    state.socket.on('close', () => {
+      state.joined = false;
+      if (!state.stopped) scheduleReconnect();
+    });
+  }
+
+  function scheduleReconnect() {
+    console.log(`[IRC] ${endpoint.id}: disconnected, reconnecting in ${state.reconnectDelay / 1000}s`);
+    state.reconnectTimer = setTimeout(connect, state.reconnectDelay);
+    state.reconnectDelay = Math.min(state.reconnectDelay * 2, RECONNECT_MAX_MS);
+  }
+
+  function handleLine({ tags, nick, user, host, command, params }) {
+    switch (command) {
+      case 'CAP':
+        handleCap(params);
+        break;
+      case 'PING':
+        write(`PONG :${params[0] || ''}`);
+        break;
+      case '001': // Welcome: registered, so join the channel
+        write(`JOIN ${channel}${options.channelKey ? ` ${options.channelKey}` : ''}`);
+        break;
+      case '433': // Nickname in use
+        state.nick += '_';
+        write(`NICK ${state.nick}`);
+        break;
+      case 'JOIN':
+        if (isMe(nick) && sameChannel(params[0])) {
+          state.joined = true;
+          state.reconnectDelay = RECONNECT_MIN_MS;
+          state.onJoined?.();
+          state.onJoined = null;
+        } else if (state.caps.has('extended-join') && params.length >= 2) {
+          // extended-join: JOIN #channel <account or *> :realname
+          setAccount(nick, params[1]);
+        }
+        break;
+      case 'ACCOUNT': // account-notify: someone logged in or out
+        setAccount(nick, params[0]);
+        break;
+      case 'NICK': {
+        const account = state.accounts.get(nick?.toLowerCase());
+        state.accounts.delete(nick?.toLowerCase());
+        if (account && params[0]) state.accounts.set(params[0].toLowerCase(), account);
+        break;
+      }
+      case 'PART':
+      case 'QUIT':
+        state.accounts.delete(nick?.toLowerCase());
+        break;
+      case 'KICK':
+        if (sameChannel(params[0]) && isMe(params[1])) {
+          state.joined = false;
+          setTimeout(() => write(`JOIN ${channel}${options.channelKey ? ` ${options.channelKey}` : ''}`), RECONNECT_MIN_MS);
+        }
+        break;
+      case 'PRIVMSG':
+        if (sameChannel(params[0]) && !isMe(nick)) {
+          const account = tags.account ?? state.accounts.get(nick?.toLowerCase());
+          handleChannelMessage({ nick, user, host, account }, params[1] || '');
+        }
+        break;
+    }
+  }
+
+  /**
+   * CAP LS lists what the server supports (maybe over several lines,
+   * marked with "*"); we ask for the account capabilities it has,
+   * then finish registration once it answers.
+   */
+  function handleCap(params) {
+    const [, subcommand, ...rest] = params;
+    if (subcommand === 'LS') {
+      const more = rest.length > 1 && rest[0] === '*';
+      state.offeredCaps.push(...rest[rest.length - 1].split(' ').map(cap => cap.split('=')[0]));
+      if (more) return;
+      const wanted = ACCOUNT_CAPS.filter(cap => state.offeredCaps.includes(cap));
+      write(wanted.length > 0 ? `CAP REQ :${wanted.join(' ')}` : 'CAP END');
+    } else if (subcommand === 'ACK') {
+      for (const cap of rest[rest.length - 1].split(' ')) if (cap) state.caps.add(cap);
+      write('CAP END');
+    } else if (subcommand === 'NAK') {
+      write('CAP END');
+    }
+  }
+
+  function setAccount(nick, account) {
+    if (!nick) return;
+    if (account && account !== '*') state.accounts.set(nick.toLowerCase(), account);
+    else state.accounts.delete(nick.toLowerCase());
+  }
+
+  function handleChannelMessage({ nick, user, host, account }, text) {
+    // "/me waves" arrives as a CTCP ACTION; other CTCP requests are ignored
+    const action = text.match(ACTION_REGEX);
+    if (text.startsWith('\x01') && !action) return;
+
+    const content = (action ? `_${action[1]}_` : text).replace(FORMATTING_REGEX, '').trim();
+    if (!content) return;
+
+    const notify = async (notice) => {
+      for (const line of notice.split(LINE_BREAK_REGEX).filter(Boolean)) queueLine(`PRIVMSG ${nick} :`, line);
+    };
+
+    // Services accounts don't contain "@", so the two kinds of ID can't collide
+    const userId = account
+      ? `${endpoint.id}:${account.toLowerCase()}`
+      : `${endpoint.id}:${`${user || nick}@${host || 'unknown'}`.toLowerCase()}`;
+
+    if (options.requireAccount && !account) {
+      if (!state.warned.has(userId)) {
+        state.warned.add(userId);
+        notify(`Your messages in ${channel} aren't relayed to the PDH bridge because you're not logged in to services. Log in (e.g. with NickServ IDENTIFY) and try again.`);
+      }
+      return;
+    }
+
+    onMessage({ userId, username: nick, content, attachments: [], notify });
+  }
+
+  /**
+   * Post a relayed message. Each line of text becomes its own IRC
+   * line, prefixed with the sender's name; attachments become links.
+   */
+  async function send({ username, content, attachments = [] }) {
+    const lines = (content || '').split(LINE_BREAK_REGEX).filter(line => line.trim());
+    for (const att of attachments) lines.push(`📎 ${att.name}: ${att.url}`);
+    for (const line of lines) queueLine(`PRIVMSG ${channel} :`, `<${username}> ${line}`);
+  }
+
+  /**
+   * Queue a line, split up if it's too long for one IRC message.
+   * Tabs become spaces and other control characters are dropped.
+   */
+  function queueLine(command, text) {
+    const clean = text.replace(/\t/g, ' ').replace(CONTROL_REGEX, '');
+    for (const piece of splitByBytes(clean, MAX_TEXT_BYTES)) {
+      state.queue.push(command + piece);
+    }
+    if (state.queue.length > MAX_QUEUED_LINES) {
+      state.queue.splice(0, state.queue.length - MAX_QUEUED_LINES);
+    }
+  }
+
+  function sendNextLine() {
+    if (state.joined && state.queue.length > 0) write(state.queue.shift());
+  }
+
+  function write(line) {
+    if (state.socket && !state.socket.destroyed) state.socket.write(`${line}\r\n`);
+  }
+
+  function isMe(nick) {
+    return !!nick && nick.toLowerCase() === state.nick.toLowerCase();
+  }
+
+  function sameChannel(name) {
+    return !!name && name.toLowerCase() === channel.toLowerCase();
+  }
+
+  return { start, stop, send };
+}
+
+/**
+ * Split one raw IRC line into { tags, nick, user, host, command, params }.
+ * IRCv3 message tags ("@account=alice;time=...") become an object.
+ */
+function parseLine(line) {
+  let rest = line;
+  const tags = {};
+  if (rest.startsWith('@')) {
+    const space = rest.indexOf(' ');
+    for (const tag of rest.slice(1, space).split(';')) {
+      const [key, ...value] = tag.split('=');
+      tags[key] = unescapeTagValue(value.join('='));
+    }
+    rest = rest.slice(space + 1);
+  }
+
+  let prefix = null;
+  if (rest.startsWith(':')) {
+    const space = rest.indexOf(' ');
+    prefix = rest.slice(1, space);
+    rest = rest.slice(space + 1);
+  }
+
+  let trailing = null;
+  const trailingStart = rest.indexOf(' :');
+  if (rest.startsWith(':')) {
+    trailing = rest.slice(1);
+    rest = '';
+  } else if (trailingStart !== -1) {
+    trailing = rest.slice(trailingStart + 2);
+    rest = rest.slice(0, trailingStart);
+  }
+
+  const params = rest.split(' ').filter(Boolean);
+  const command = (params.shift() || '').toUpperCase();
+  if (trailing !== null) params.push(trailing);
+
+  // The prefix is nick!user@host for users (just a name for servers)
+  const [, nick = null, user = null, host = null] = (prefix || '').match(/^([^!@]*)(?:!([^@]*))?(?:@(.*))?$/) || [];
+  return { tags, nick: nick || null, user, host, command, params };
+}
+
+/**
+ * Tag values escape ";", " ", "\\", CR and LF (see the IRCv3 spec).
+ */
+function unescapeTagValue(value) {
+  const escapes = { ':': ';', s: ' ', '\\': '\\', r: '\r', n: '\n' };
+  return value.replace(/\\(.?)/g, (match, char) => escapes[char] ?? char);
+}
+
+/**
+ * Cut text into pieces of at most maxBytes (UTF-8), never in the
+ * middle of a character.
+ */
+function splitByBytes(text, maxBytes) {
+  const pieces = [''];
+  for (const char of text) {
+    const current = pieces[pieces.length - 1];
+    if (Buffer.byteLength(current + char) > maxBytes) pieces.push('');
+    pieces[pieces.length - 1] += char;
+  }
+  return pieces;
+}
+
+module.exports = {
+  createAdapter,
+};
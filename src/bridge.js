@@ -12,8 +12,45 @@
 // from the original sender.
 // =============================================================
 
-const { WebhookClient, EmbedBuilder } = require('discord.js');
-const { getRelayTargets } = require('./config');
+const { WebhookClient, EmbedBuilder, MessageType, StickerFormatType } = require('discord.js');
+const {
+  getRelayTargets, getNetworkMapping, getServerNetworks, getChannelDirection, getNetworkSettings, getChannelType,
+  setServer, MAIN_NETWORK,
+} = require('./config');
+const db = require('./database');
+const { checkProfanity, stripMentions, resolveMentionName } = require('./modules/moderation');
+const { applyAttachmentPolicy, isAllowedType } = require('./modules/attachments');
+const { shapePayload, trimEmbeds, truncate } = require('./modules/shaping');
+const { routeThreadMessage } = require('./modules/threads');
+const { enqueueDelivery, attemptDeliveries } = require('./delivery');
+const { scheduleEdit, scheduleDelete, noteRateLimitHeaders } = require('./scheduler');
+const { sendToEndpoints, embedToText, toOutboundAttachments } = require('./adapters');
+
+// How much of the replied-to message to quote in the reply header
+const REPLY_SNIPPET_LENGTH = 100;
+
+// A link to a Discord message: discord.com/channels/<guild>/<channel>/<message>
+// (also the ptb/canary and old discordapp.com forms)
+const MESSAGE_LINK_REGEX = /https?:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+)\/(\d+)\/(\d+)/g;
+
+// Fenced code blocks and inline code, which are left alone when
+// mentions are restored
+const CODE_SPAN_SOURCE = '```[\\s\\S]*?```|`[^`\\n]+`';
+
+// Discord rejects webhook usernames longer than this...
+const MAX_WEBHOOK_USERNAME_LENGTH = 80;
+// ...or containing these words, or that are exactly "everyone"/"here"
+const FORBIDDEN_USERNAME_WORDS = /discord|clyde/gi;
+const FORBIDDEN_USERNAMES = /^(everyone|here)$/i;
+
+// Longest origin tag/badge we add, so the sender's name always has room
+const MAX_ATTRIBUTION_LENGTH = 32;
+const ATTRIBUTION_SEPARATOR = ' · ';
+
+// Short rate-limit waits are handled inside discord.js. Anything longer
+// than this is thrown back to us so the delivery queue can reschedule
+// the job instead of one slow server holding up the whole relay.
+const MAX_INLINE_RATE_LIMIT_WAIT_MS = 5000;
 
 // Cache WebhookClient instances so we don't recreate them every message.
 // LEARNING NOTE: A "cache" stores frequently-used data in memory
@@ -25,16 +62,87 @@ const webhookCache = new Map();
  * Get or create a WebhookClient for a given webhook URL.
  * WebhookClient is a lightweight Discord.js object that can
  * send messages through a webhook without needing bot permissions.
+ *
+ * Sends, edits and deletes should go through scheduler.js rather
+ * than calling the client directly, so they stay in order per channel.
  */
 function getWebhookClient(webhookUrl) {
   if (webhookCache.has(webhookUrl)) {
     return webhookCache.get(webhookUrl);
   }
-  const client = new WebhookClient({ url: webhookUrl });
+  const client = new WebhookClient({ url: webhookUrl }, {
+    rest: { rejectOnRateLimit: (rateLimit) => rateLimit.retryAfter > MAX_INLINE_RATE_LIMIT_WAIT_MS },
+  });
+  // Let the scheduler see this webhook's rate-limit headers
+  client.rest.on('response', (request, response) => noteRateLimitHeaders(webhookUrl, response));
   webhookCache.set(webhookUrl, client);
   return client;
 }
 
+// Webhook repairs in progress, keyed by the broken URL. When a webhook
+// is deleted, every queued send to it fails at once — this makes sure
+// they all wait on ONE repair instead of each creating a new webhook.
+const healsInProgress = new Map();
+
+/**
+ * Forget a cached WebhookClient (e.g. because its webhook was deleted).
+ */
+function evictWebhookClient(webhookUrl) {
+  const client = webhookCache.get(webhookUrl);
+  if (client) client.destroy();
+  webhookCache.delete(webhookUrl);
+}
+
+/**
+ * Runtime webhook self-healing. Called when a send fails because the
+ * webhook is gone (404 Unknown Webhook) or its token no longer works
+ * (401). Finds or creates a working webhook in the same channel and
+ * saves it to the config, just like verifyWebhooks does at startup.
+ *
+ * @param {Client} client - Discord.js client (needed to find the channel)
+ * @param {Object} config - The bridge configuration
+ * @param {Object} target - { guildId, channelId, channelType, webhookUrl }
+ * @returns {string|null} The new webhook URL, or null if it couldn't be fixed
+ */
+async function healWebhook(client, config, target) {
+  if (healsInProgress.has(target.webhookUrl)) {
+    return healsInProgress.get(target.webhookUrl);
+  }
+  
+  const heal = (async () => {
+    evictWebhookClient(target.webhookUrl);
+    
+    const channel = client.channels.cache.get(target.channelId);
+    if (!channel) {
+      console.error(`[Bridge] Can't repair webhook: channel ${target.channelId} not found in guild ${target.guildId}`);
+      return null;
+    }
+    
+    const newUrl = await ensureWebhook(channel, client.user);
+    if (!newUrl || newUrl === target.webhookUrl) return null;
+    
+    // Update whichever network's mapping still holds the broken URL
+    const server = config.servers[target.guildId];
+    const mapping = server && getServerNetworks(config, server)
+      .map(([, m]) => m)
+      .find(m => m.webhooks?.[target.channelType] === target.webhookUrl);
+    if (mapping) {
+      mapping.webhooks[target.channelType] = newUrl;
+      setServer(config, target.guildId, server);
+    }
+    
+    console.log(`[Bridge] Repaired ${target.channelType} webhook in #${channel.name} on ${channel.guild.name}`);
+    return newUrl;
+  })();
+  
+  healsInProgress.set(target.webhookUrl, heal);
+  try {
+    return await heal;
+  } finally {
+    healsInProgress.delete(target.webhookUrl);
+  }
+}
+
 /**
  * Relay a user's message to all other bridged servers.
  * 
@@ -44,6 +152,7 @@ function getWebhookClient(webhookUrl) {
  * @param {Object} options - Additional options
  * @param {string} options.contentOverride - Replace message content (used for cleaned content)
  * @param {boolean} options.pingRole - Whether to ping the channel's role
+ * @param {string} options.network - Network the channel belongs to (default "main")
  * 
  * LEARNING NOTE: "async/await" is how JavaScript handles operations
  * that take time (like sending messages over the internet). The
@@ -52,86 +161,666 @@ function getWebhookClient(webhookUrl) {
  * (all at once) rather than one-by-one, which is much faster.
  */
 async function relayMessage(config, message, channelType, options = {}) {
-  const targets = getRelayTargets(config, channelType, message.guild.id);
+  // Receive-only channels never send anything out
+  const sourceMapping = getNetworkMapping(config.servers[message.guild.id], options.network);
+  if (getChannelDirection(sourceMapping, channelType) === 'receive') return [];
+  
+  // Messages in threads and forum posts go into the matching thread
+  // on each server (see modules/threads.js)
+  const targets = routeThreadMessage(message, getRelayTargets(config, channelType, message.guild.id, options.network));
+  const typeConfig = getChannelType(config, channelType);
+  
+  // Rooms on other platforms (see adapters/index.js) have no threads,
+  // so only top-level messages go there
+  if (!message.channel.isThread()) {
+    await sendToEndpoints(config, channelType, options.network || MAIN_NETWORK, {
+      username: formatRelayUsername(config, message, options.network),
+      content: toPlainText(buildRelayBody(message, options.contentOverride ?? message.content).content, message.guild),
+      // Files go out as links, but the type's allowed file types still apply
+      attachments: toOutboundAttachments(message.attachments.filter(att => isAllowedType(att.contentType, typeConfig?.fileTypes))),
+    });
+  }
   
   if (targets.length === 0) return [];
   
+  // A new forum post: link the original to the posts about to be made
+  if (targets.some(t => t.forumPost)) {
+    db.addRelayedThread(message.channel.id, {
+      guildId: message.guild.id, channelId: message.channel.parentId, threadId: message.channel.id,
+    });
+  }
+  
   const content = options.contentOverride ?? message.content;
+  const reply = await resolveReplyContext(message);
   
   // Build the webhook payload
   // This makes the message appear to come from the original user
   const webhookPayload = {
-    content: content || undefined,
-    username: message.author.displayName || message.author.username,
+    ...buildRelayBody(message, content),
+    username: formatRelayUsername(config, message, options.network),
     avatarURL: message.author.displayAvatarURL({ size: 256 }),
     allowedMentions: { parse: [] }, // Block all mentions by default
   };
   
-  // Handle attachments (images, files the user uploaded)
-  if (message.attachments.size > 0) {
-    webhookPayload.files = message.attachments.map(att => ({
-      attachment: att.url,
-      name: att.name,
+  // Native polls are mirrored as a new poll on each server. Votes stay
+  // separate per copy; polls.js adds them up and shows the network-wide
+  // results under the original.
+  if (message.poll) {
+    webhookPayload.poll = buildPollPayload(message.poll);
+  }
+  
+  // Queue one delivery job per target, then try them all right away.
+  // Anything that fails stays in the queue and is retried with
+  // backoff by the delivery worker (see delivery.js).
+  const source = { messageId: message.id, guildId: message.guild.id, channelId: message.channel.id, channelType };
+  const jobIds = await Promise.all(targets.map(async (target) => {
+    const payload = { ...webhookPayload };
+    payload.content = rewriteMessageLinks(payload.content, target.guildId);
+    
+    // Servers that opted in get real mentions for their own members
+    const mentions = await restoreRealMentions(config, message, target.guildId, payload.content);
+    payload.content = mentions.content;
+    payload.allowedMentions = { parse: [], users: mentions.userIds };
+    
+    // Attachments (images, files the user uploaded) depend on what
+    // THIS server can take — see modules/attachments.js
+    addAttachments(payload, message, typeConfig, target.guildId);
+    
+    if (reply) {
+      payload.content = `${formatReplyHeader(reply, target.guildId)}\n${payload.content || ''}`.trim();
+    }
+    // If we need to ping a role (like @news or @lfg)
+    if (options.pingRole && target.rolePing) {
+      payload.content = `<@&${target.rolePing}> ${payload.content || ''}`.trim();
+      payload.allowedMentions.roles = [target.rolePing];
+    }
+    
+    if (target.threadId) payload.threadId = target.threadId;
+    
+    // Everything added above can push the text past Discord's limit,
+    // so long messages go out as several parts (see modules/shaping.js).
+    // The parts share one webhook, and the queue sends each webhook's
+    // jobs in order, so they arrive in order too.
+    const partJobIds = [];
+    shapePayload(payload).forEach((part, partIndex) => {
+      // Once sent, remember the copy so later edits/deletes can find it
+      const meta = { relaySource: source, partIndex };
+      // A forum post is created by its first part; the rest go inside it
+      if (target.forumPost && partIndex === 0) {
+        Object.assign(part, target.forumPost);
+        meta.threadSource = message.channel.id;
+      } else if (target.forumPost) {
+        meta.threadFromJob = partJobIds[0];
+      }
+      partJobIds.push(enqueueDelivery({
+        channelType,
+        guildId: target.guildId,
+        channelId: target.channelId,
+        webhookUrl: target.webhookUrl,
+        payload: part,
+        meta,
+      }));
+    });
+    return partJobIds;
+  }));
+  
+  // Return deliveries that succeeded on the first try
+  return attemptDeliveries(jobIds.flat());
+}
+
+/**
+ * Add a message's attachments to one server's copy, the way THAT
+ * server can take them: files to upload, link cards for files too big
+ * for it, and notes for the rest (see modules/attachments.js).
+ * Edits run this too, so the cards and notes a copy was first sent
+ * with don't disappear when the original is edited.
+ */
+function addAttachments(payload, message, typeConfig, guildId) {
+  const targetGuild = message.client.guilds.cache.get(guildId);
+  const embedSlots = 10 - (payload.embeds?.length || 0);
+  const attachments = applyAttachmentPolicy(message.attachments, typeConfig, targetGuild, embedSlots);
+  // Stickers can't be sent by a webhook, so send the sticker's image
+  // instead (animated ones as a GIF/APNG, so they still move)
+  const stickerFiles = message.stickers.filter(isImageSticker).map(sticker => ({
+    attachment: sticker.url,
+    name: `${sticker.name}.${sticker.format === StickerFormatType.GIF ? 'gif' : 'png'}`,
+  }));
+  const files = [...attachments.files, ...stickerFiles];
+  if (files.length > 0) payload.files = files;
+  if (attachments.cards.length > 0) payload.embeds = [...(payload.embeds || []), ...attachments.cards];
+  if (attachments.notes.length > 0) {
+    payload.content = [payload.content, ...attachments.notes].filter(Boolean).join('\n');
+  }
+}
+
+/**
+ * Relay a message that came from another chat platform (see
+ * adapters/index.js) to every Discord server and every other
+ * endpoint of its channel type. It has already been through
+ * moderation in index.js; `content` is the cleaned text.
+ *
+ * There's no source message on Discord, so the copies aren't recorded
+ * in relayed_messages: edits, deletes and reactions stay Discord-only.
+ */
+async function relayExternalMessage(config, endpoint, inbound, content) {
+  const network = endpoint.network || MAIN_NETWORK;
+  const username = formatAttributedName(config, network, inbound.username, {
+    tag: endpoint.tag, badge: endpoint.badge, name: endpoint.name || endpoint.id,
+  });
+  const attachments = inbound.attachments || [];
+  
+  await sendToEndpoints(config, endpoint.channelType, network, { username, content, attachments }, endpoint.id);
+  
+  // Files can't be re-uploaded from another platform, so they're linked
+  const text = [content, ...attachments.map(att => `📎 [${att.name}](${att.url})`)].filter(Boolean).join('\n');
+  if (!text) return [];
+  
+  const targets = getRelayTargets(config, endpoint.channelType, null, network);
+  const jobIds = targets.flatMap((target) => {
+    const payload = {
+      content: rewriteMessageLinks(text, target.guildId),
+      username,
+      avatarURL: inbound.avatarURL,
+      allowedMentions: { parse: [] },
+    };
+    return shapePayload(payload).map((part, partIndex) => enqueueDelivery({
+      channelType: endpoint.channelType,
+      guildId: target.guildId,
+      channelId: target.channelId,
+      webhookUrl: target.webhookUrl,
+      payload: part,
+      meta: { partIndex },
     }));
+  });
+  
+  return attemptDeliveries(jobIds);
+}
+
+/**
+ * Discord markup that means nothing on other platforms, made readable:
+ * mentions become plain names and custom emojis become ":name:".
+ */
+function toPlainText(content, guild) {
+  if (!content) return '';
+  return stripMentions(content, guild).replace(/<a?:(\w+):\d+>/g, ':$1:');
+}
+
+/**
+ * Servers can opt in to real mentions (server.realMentions). There,
+ * the plain "@Alice" text left by stripMentions is turned back into a
+ * real mention — but only for people who are members of THAT server.
+ * Everyone else stays plain text, and so does anything inside code.
+ *
+ * @returns {Object} { content, userIds } - userIds may be pinged
+ */
+async function restoreRealMentions(config, message, guildId, content) {
+  const result = { content, userIds: [] };
+  if (!content || !config.servers[guildId]?.realMentions) return result;
+  
+  const guild = message.client.guilds.cache.get(guildId);
+  if (!guild) return result;
+  
+  // Longest names first, so "@Al" can't eat part of "@Alice"
+  const members = [];
+  const mentioned = message.mentions.users
+    .map(user => ({ id: user.id, text: resolveMentionName(message.guild, user.id) }))
+    .filter(m => m.text && result.content.includes(m.text))
+    .sort((a, b) => b.text.length - a.text.length);
+  for (const { id, text } of mentioned) {
+    if (await guild.members.fetch(id).catch(() => null)) members.push({ id, text });
   }
+  if (members.length === 0) return result;
+  
+  // One pass over the text: code is copied as-is, and a name only
+  // counts when it isn't part of a longer word ("@Al" in "@Alice")
+  const names = members.map(m => escapeRegex(m.text)).join('|');
+  const pattern = new RegExp(`(${CODE_SPAN_SOURCE})|(?<![\\p{L}\\p{N}_])(${names})(?![\\p{L}\\p{N}_])`, 'gu');
+  const ids = new Set();
+  result.content = result.content.replace(pattern, (match, code, name) => {
+    if (code) return code;
+    const { id } = members.find(m => m.text === name);
+    ids.add(id);
+    return `<@${id}>`;
+  });
+  result.userIds = [...ids];
+  return result;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the name a relayed message is posted under: the sender's
+ * display name, plus the origin server's tag and/or badge depending
+ * on the "attribution" setting ("Alice · cPDH", "Alice · 🌲 cPDH").
+ * Servers without a tag are shown by name.
+ *
+ * The result always fits Discord's webhook username rules. The
+ * sender's name is shortened first, so the origin stays visible.
+ */
+function formatRelayUsername(config, message, network) {
+  const server = config.servers[message.guild.id] || {};
+  return formatAttributedName(config, network, message.author.displayName || message.author.username, {
+    tag: server.tag, badge: server.badge, name: server.name || message.guild.name,
+  });
+}
+
+/**
+ * The shared half of formatRelayUsername, also used for senders on
+ * other platforms, whose origin is their endpoint instead of a server.
+ *
+ * @param {Object} origin - { tag, badge, name } of where the sender posted
+ */
+function formatAttributedName(config, network, senderName, origin) {
+  const name = sanitizeUsername(senderName || '') || 'PDH Member';
+  
+  const mode = getNetworkSettings(config, network).attribution;
+  const parts = [];
+  if ((mode === 'badge' || mode === 'both') && origin.badge) parts.push(origin.badge);
+  if (mode === 'tag' || mode === 'both') parts.push(origin.tag || origin.name);
+  
+  const attribution = truncate(sanitizeUsername(parts.join(' ')), MAX_ATTRIBUTION_LENGTH);
+  if (!attribution) return truncate(name, MAX_WEBHOOK_USERNAME_LENGTH);
+  
+  const room = MAX_WEBHOOK_USERNAME_LENGTH - ATTRIBUTION_SEPARATOR.length - attribution.length;
+  return `${truncate(name, room)}${ATTRIBUTION_SEPARATOR}${attribution}`;
+}
+
+/**
+ * Break up words Discord won't allow in a webhook username by
+ * slipping a zero-width space inside them ("dis\u200Bcord").
+ * It looks the same, but no longer matches.
+ */
+function sanitizeUsername(text) {
+  const cleaned = text.trim().replace(FORBIDDEN_USERNAME_WORDS, word => `${word[0]}\u200B${word.slice(1)}`);
+  return FORBIDDEN_USERNAMES.test(cleaned) ? `${cleaned[0]}\u200B${cleaned.slice(1)}` : cleaned;
+}
+
+/**
+ * Build the parts of a relayed message that can change when the
+ * original is edited: the text content and any rich embeds.
+ * Shared by relayMessage (first send) and editRelayedCopies (edits).
+ */
+function buildRelayBody(message, content) {
+  const body = { content: content || undefined };
   
   // Handle embeds (link previews, etc.)
   if (message.embeds.length > 0) {
-    webhookPayload.embeds = message.embeds
+    body.embeds = message.embeds
       .filter(e => e.data.type === 'rich') // Only forward rich embeds, not link previews
       .map(e => e.toJSON());
   }
   
-  // Handle stickers
-  if (message.stickers.size > 0) {
-    const stickerNote = message.stickers.map(s => `[Sticker: ${s.name}]`).join(' ');
-    webhookPayload.content = (webhookPayload.content || '') + '\n' + stickerNote;
+  // Stickers that aren't plain images (Lottie animations) can't be
+  // re-sent as a file, so they're mentioned by name instead
+  const otherStickers = message.stickers.filter(s => !isImageSticker(s));
+  if (otherStickers.size > 0) {
+    const stickerNote = otherStickers.map(s => `[Sticker: ${s.name}]`).join(' ');
+    body.content = (body.content || '') + '\n' + stickerNote;
   }
   
-  // Send to all targets in parallel
-  // LEARNING NOTE: Promise.allSettled waits for ALL promises to finish,
-  // even if some fail. This is better than Promise.all which stops
-  // at the first failure. We don't want one server being down to
-  // prevent messages from reaching other servers.
-  const results = await Promise.allSettled(
-    targets.map(async (target) => {
+  return body;
+}
+
+function isImageSticker(sticker) {
+  return sticker.format !== StickerFormatType.Lottie;
+}
+
+// Discord polls can run for at most 32 days (768 hours)
+const MAX_POLL_DURATION_HOURS = 768;
+
+/**
+ * Copy a native poll into a webhook-sendable one. The copy ends at
+ * (roughly) the same time as the original. Custom emojis on answers
+ * might not be usable on other servers, so only unicode ones are kept.
+ * The question and answers go through the profanity filter's ****
+ * cleanup, since moderation only looks at the message text.
+ */
+function buildPollPayload(poll) {
+  const hoursLeft = poll.expiresAt
+    ? Math.ceil((poll.expiresAt.getTime() - Date.now()) / (60 * 60 * 1000))
+    : 24;
+  return {
+    question: { text: checkProfanity(poll.question.text, poll.message?.guildId).cleaned },
+    answers: poll.answers.map(answer => ({
+      text: checkProfanity(answer.text || '', poll.message?.guildId).cleaned,
+      emoji: answer.emoji && !answer.emoji.id ? answer.emoji.name : undefined,
+    })),
+    duration: Math.min(Math.max(hoursLeft, 1), MAX_POLL_DURATION_HOURS),
+    allowMultiselect: poll.allowMultiselect,
+  };
+}
+
+/**
+ * If a message is a reply, work out what it's replying to so the
+ * relayed copy can show a short quote instead of appearing out of
+ * nowhere. Returns null for normal (non-reply) messages.
+ *
+ * The quoted snippet goes through the same profanity and mention
+ * cleanup as relayed text — the replied-to message may never have
+ * been relayed itself, so we can't assume it's clean.
+ */
+async function resolveReplyContext(message) {
+  if (message.type !== MessageType.Reply || !message.reference?.messageId) return null;
+  
+  const referenced = await message.fetchReference().catch(() => null);
+  if (!referenced) return null;
+  
+  // Webhook copies carry the original author's name as their username
+  const authorName = referenced.member?.displayName
+    || referenced.author.displayName
+    || referenced.author.username;
+  
+  let snippet = (referenced.content || '').replace(/\s+/g, ' ').trim();
+  if (snippet) {
+    snippet = stripMentions(checkProfanity(snippet, referenced.guildId).cleaned, referenced.guild);
+    if (snippet.length > REPLY_SNIPPET_LENGTH) {
+      snippet = snippet.substring(0, REPLY_SNIPPET_LENGTH - 1) + '…';
+    }
+  } else if (referenced.attachments.size > 0) {
+    snippet = '📎 *attachment*';
+  }
+  
+  return {
+    authorName,
+    snippet,
+    group: db.getRelayGroup(referenced.id),
+  };
+}
+
+/**
+ * Build the "↩️ replying to" header for one target server.
+ * If the replied-to message is bridged, link to the copy that lives
+ * on THAT server — a link to another server's message would just
+ * say "you don't have access".
+ */
+function formatReplyHeader(reply, guildId) {
+  let header = `> ↩️ **${reply.authorName}**`;
+  if (reply.snippet) header += `: ${reply.snippet}`;
+  
+  const local = reply.group ? findCopyInGuild(reply.group, guildId) : null;
+  if (local) {
+    header += ` — [jump](https://discord.com/channels/${guildId}/${local.channelId}/${local.messageId})`;
+  }
+  return header;
+}
+
+/**
+ * Point links to bridged messages at the copy on the target server.
+ * A link to another server's message only says "you don't have
+ * access", so for each target we swap in the link to THAT server's
+ * copy (or the original, if the target is where it was posted).
+ * Links to messages that were never bridged are left alone.
+ */
+function rewriteMessageLinks(content, guildId) {
+  if (!content) return content;
+  return content.replace(MESSAGE_LINK_REGEX, (link, linkGuildId, channelId, messageId) => {
+    const group = db.getRelayGroup(messageId);
+    const local = group ? findCopyInGuild(group, guildId) : null;
+    return local ? `https://discord.com/channels/${guildId}/${local.channelId}/${local.messageId}` : link;
+  });
+}
+
+/**
+ * Find where a relay group's message lives on a given server.
+ * That's either the original (if the server is the source) or its copy.
+ */
+function findCopyInGuild(group, guildId) {
+  if (group.source.guildId === guildId) return group.source;
+  const copy = group.copies.find(c => c.guild_id === guildId);
+  return copy ? { channelId: copy.channel_id, messageId: copy.message_id } : null;
+}
+
+/**
+ * Push an edited message out to every copy that relayMessage made.
+ * Each copy is edited through the webhook that originally sent it,
+ * because webhook messages can't be edited any other way.
+ *
+ * A long message may have been split into several parts per server,
+ * and the edit may need more or fewer parts than before. Existing
+ * parts are edited in place, extra text goes out as new messages,
+ * and parts that are no longer needed are deleted. Files always stay
+ * on the last part: when new parts are added, they move from the old
+ * last copy to the new one.
+ *
+ * Copies that haven't been posted yet (still in the delivery queue,
+ * or dead letters) are rewritten in the queue instead, so a retry
+ * can't post the old text later. That includes servers where nothing
+ * has arrived yet.
+ *
+ * @param {Object} config - The bridge configuration
+ * @param {Message} message - The edited Discord.js message
+ * @param {string} channelType - "news", "lfg", or "discussion"
+ * @param {Object} options - Same contentOverride/pingRole/network options as relayMessage
+ * @returns {number} How many copies were updated
+ */
+async function editRelayedCopies(config, message, channelType, options = {}) {
+  const copies = db.getRelayedCopies(message.id);
+  const unsent = db.getUnsentDeliveriesForSource(message.id);
+  if (copies.length === 0 && unsent.length === 0) return 0;
+  
+  const content = options.contentOverride ?? message.content;
+  const body = buildRelayBody(message, content);
+  const reply = await resolveReplyContext(message);
+  const typeConfig = getChannelType(config, channelType);
+  
+  // Each server's parts, in order: the ones already posted, then the unsent ones
+  const guilds = new Map();
+  const forGuild = id => guilds.get(id) || guilds.set(id, { copies: [], jobs: [] }).get(id);
+  for (const copy of copies) forGuild(copy.guild_id).copies.push(copy);
+  for (const job of unsent) forGuild(job.guild_id).jobs.push(job);
+  
+  const counts = await Promise.all([...guilds].map(async ([guildId, { copies: guildCopies, jobs }]) => {
+    // Same links and mentions as the first send (edits never ping anyone)
+    const links = rewriteMessageLinks(body.content, guildId);
+    const mentions = await restoreRealMentions(config, message, guildId, links);
+    const payload = { ...body, content: mentions.content, allowedMentions: { parse: [] } };
+    // The same files, link cards and notes as the first send
+    addAttachments(payload, message, typeConfig, guildId);
+    if (reply) {
+      payload.content = `${formatReplyHeader(reply, guildId)}\n${payload.content || ''}`.trim();
+    }
+    
+    // Keep the role ping prefix the copy was originally sent with.
+    // Edits never re-ping, so this is purely cosmetic.
+    const rolePing = getNetworkMapping(config.servers[guildId], options.network)?.roles?.[channelType];
+    if (options.pingRole && rolePing) {
+      payload.content = `<@&${rolePing}> ${payload.content || ''}`.trim();
+    }
+    
+    const parts = shapePayload(payload);
+    if (guildCopies.length === 0) {
+      return rewriteUnsentParts(jobs, parts, mentions.userIds);
+    }
+    
+    // Pair up parts with the existing copies. When there are fewer
+    // parts than before, the last part goes to the last copy and the
+    // copies in between are left over.
+    const lastCopy = guildCopies[guildCopies.length - 1];
+    let edits = guildCopies.map((copy, i) => [copy, parts[i]]);
+    let leftovers = [];
+    if (parts.length < guildCopies.length) {
+      edits = [...edits.slice(0, parts.length - 1), [lastCopy, parts[parts.length - 1]]];
+      leftovers = guildCopies.slice(parts.length - 1, -1);
+    }
+    const extraParts = parts.slice(guildCopies.length);
+    // While later parts are still queued, the files are on the last of those
+    const lastCopyHasFiles = jobs.length === 0;
+    
+    const results = await Promise.allSettled(edits.map(async ([copy, part]) => {
       try {
-        const webhook = getWebhookClient(target.webhookUrl);
-        
-        // If we need to ping a role (like @news or @lfg)
-        const payload = { ...webhookPayload };
-        if (options.pingRole && target.rolePing) {
-          payload.content = `<@&${target.rolePing}> ${payload.content || ''}`.trim();
-          payload.allowedMentions = { roles: [target.rolePing] };
-        }
-        
-        const sent = await webhook.send(payload);
-        return { guildId: target.guildId, messageId: sent.id, channelId: target.channelId };
+        // An edit has to clear the old embeds explicitly if there are none now.
+        // Files aren't re-uploaded: the last copy keeps the ones it has,
+        // unless new parts follow it, in which case the last of those
+        // gets them and this copy lets go of its own. If the queued
+        // part that held them is no longer needed, they come here.
+        const { files, ...text } = part;
+        const edit = { ...text, embeds: part.embeds || [], content: part.content || '' };
+        if (copy === lastCopy && extraParts.length > 0 && lastCopyHasFiles) edit.attachments = [];
+        if (copy === lastCopy && extraParts.length === 0 && !lastCopyHasFiles && files?.length) edit.files = files;
+        if (copy.thread_id) edit.threadId = copy.thread_id;
+        await scheduleEdit(copy.webhook_url, getWebhookClient(copy.webhook_url), copy.message_id, edit);
       } catch (err) {
-        console.error(`[Bridge] Failed to relay to guild ${target.guildId}:`, err.message);
+        console.error(`[Bridge] Failed to edit copy in guild ${copy.guild_id}:`, err.message);
         throw err;
       }
+    }));
+    
+    await Promise.allSettled(leftovers.map(async (copy) => {
+      await scheduleDelete(copy.webhook_url, getWebhookClient(copy.webhook_url), copy.message_id, copy.thread_id);
+      db.removeRelayedCopy(copy.message_id);
+    }));
+    
+    if (jobs.length > 0) {
+      const rewritten = await rewriteUnsentParts(jobs, extraParts, mentions.userIds);
+      return results.filter(r => r.status === 'fulfilled').length + rewritten;
+    }
+    
+    if (extraParts.length > 0) {
+      const first = guildCopies[0];
+      const source = { messageId: message.id, guildId: message.guild.id, channelId: message.channel.id, channelType };
+      // Copies in a thread are recorded with the thread as their channel;
+      // the job itself belongs to the webhook's (parent) channel
+      const channelId = first.thread_id
+        ? getNetworkMapping(config.servers[guildId], options.network)?.channels[channelType]
+        : first.channel_id;
+      await attemptDeliveries(extraParts.map((part, i) => enqueueDelivery({
+        channelType,
+        guildId,
+        channelId,
+        webhookUrl: first.webhook_url,
+        payload: {
+          ...part,
+          username: formatRelayUsername(config, message, options.network),
+          avatarURL: message.author.displayAvatarURL({ size: 256 }),
+          threadId: first.thread_id || undefined,
+        },
+        meta: { relaySource: source, partIndex: guildCopies.length + i },
+      })));
+    }
+    
+    return results.filter(r => r.status === 'fulfilled').length;
+  }));
+  
+  return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * The edit half of editRelayedCopies for copies still in the queue:
+ * each unsent job takes the next part of the new text, jobs left over
+ * are cancelled, and parts left over are queued after the last job.
+ * Where each job goes (webhook, thread, name, avatar, pings) stays as
+ * it was. Returns how many jobs now carry the new text.
+ */
+async function rewriteUnsentParts(jobs, parts, userIds) {
+  const routing = jobs.map((job) => {
+    const { content, embeds, files, poll, ...rest } = JSON.parse(job.payload);
+    return rest;
+  });
+  // A poll goes on the last part, like embeds and files
+  const poll = jobs.map(job => JSON.parse(job.payload).poll).find(Boolean);
+  const withRouting = (part, route, isLast) => ({
+    ...part,
+    ...route,
+    ...(isLast && poll ? { poll } : {}),
+    allowedMentions: { ...route.allowedMentions, users: userIds },
+  });
+  
+  jobs.forEach((job, i) => {
+    if (i >= parts.length) db.cancelDelivery(job.id);
+    else db.updateDeliveryPayload(job.id, withRouting(parts[i], routing[i], i === parts.length - 1));
+  });
+  
+  // More parts than before: queue them after the last job, inside the
+  // forum post if the first job is the one creating it
+  const last = jobs[jobs.length - 1];
+  const lastMeta = JSON.parse(last.meta || '{}');
+  const createsPost = !!routing[0].threadName;
+  // (only the first part can name the post or tag it)
+  const { threadName, appliedTags, ...followRouting } = routing[routing.length - 1];
+  const newJobIds = parts.slice(jobs.length).map((part, i) => {
+    const { threadSource, ...meta } = lastMeta;
+    meta.partIndex = (lastMeta.partIndex || 0) + i + 1;
+    if (createsPost) meta.threadFromJob = jobs[0].id;
+    return enqueueDelivery({
+      channelType: last.channel_type,
+      guildId: last.guild_id,
+      channelId: last.channel_id,
+      webhookUrl: last.webhook_url,
+      payload: withRouting(part, followRouting, jobs.length + i === parts.length - 1),
+      meta,
+    });
+  });
+  if (newJobIds.length > 0) await attemptDeliveries(newJobIds);
+  
+  return Math.min(jobs.length, parts.length) + newJobIds.length;
+}
+
+/**
+ * Withdraw every relayed copy of a source message and forget the mapping.
+ * Tries the owning webhook first; if that fails (webhook recreated, etc.)
+ * falls back to deleting as the bot, which needs Manage Messages.
+ * Copies still waiting in the delivery queue are cancelled first.
+ */
+async function deleteRelayedCopies(client, sourceMessageId) {
+  db.cancelDeliveriesForSource(sourceMessageId);
+  const copies = db.getRelayedCopies(sourceMessageId);
+  if (copies.length === 0) return 0;
+  
+  const fallback = [];
+  await Promise.allSettled(
+    copies.map(async (copy) => {
+      try {
+        await scheduleDelete(copy.webhook_url, getWebhookClient(copy.webhook_url), copy.message_id, copy.thread_id);
+      } catch (err) {
+        fallback.push({ guildId: copy.guild_id, channelId: copy.channel_id, messageId: copy.message_id });
+      }
     })
   );
+  if (fallback.length > 0) {
+    await deleteAcrossServers(client, fallback);
+  }
   
-  // Return successful deliveries (for LFG tracking, etc.)
-  return results
-    .filter(r => r.status === 'fulfilled')
-    .map(r => r.value);
+  db.removeRelayedCopies(sourceMessageId);
+  return copies.length;
 }
 
 /**
  * Send a bot-authored embed to all servers for a channel type.
  * Used for LFG posts, news articles, and system announcements.
  * Unlike relayMessage, this doesn't impersonate a user.
+ *
+ * Pass options.lfgPostId to have each successful copy recorded in
+ * lfg_messages (including copies that only land on a later retry).
+ * Pass options.network to broadcast within a network other than "main".
+ * Pass options.relaySource to record the copies as one relay group,
+ * like relayed messages, so per-message features (reaction totals,
+ * pins, reply links) work on them too.
+ *
+ * Pass options.sourceGuildId when the embed comes from one server (an
+ * LFG post) so that server's channel direction is respected: from a
+ * receive-only channel it only posts locally, and a send-only channel
+ * still gets its own post even though it receives nothing else.
  */
 async function broadcastEmbed(config, channelType, embed, options = {}) {
-  const targets = getRelayTargets(config, channelType, options.excludeGuildId);
+  let targets = getRelayTargets(config, channelType, options.excludeGuildId, options.network);
+  let direction = null;
+  
+  if (options.sourceGuildId) {
+    const sourceMapping = getNetworkMapping(config.servers[options.sourceGuildId], options.network);
+    direction = getChannelDirection(sourceMapping, channelType);
+    if (direction === 'receive') {
+      targets = targets.filter(t => t.guildId === options.sourceGuildId);
+    } else if (direction === 'send') {
+      options = { ...options, includeSource: options.sourceGuildId };
+    }
+  }
   
   // Also include the source server if we want to post everywhere
   if (options.includeSource) {
-    const sourceServer = config.servers[options.includeSource];
-    if (sourceServer?.channels[channelType] && sourceServer?.webhooks[channelType]) {
+    const sourceServer = getNetworkMapping(config.servers[options.includeSource], options.network);
+    if (sourceServer?.channels[channelType] && sourceServer?.webhooks?.[channelType]) {
       targets.push({
         guildId: options.includeSource,
         channelId: sourceServer.channels[channelType],
@@ -141,40 +830,48 @@ async function broadcastEmbed(config, channelType, embed, options = {}) {
     }
   }
   
-  const results = await Promise.allSettled(
-    targets.map(async (target) => {
-      try {
-        const webhook = getWebhookClient(target.webhookUrl);
-        
-        const payload = {
-          embeds: [embed.toJSON ? embed.toJSON() : embed],
-          username: options.username || 'PDH Bridge',
-          avatarURL: options.avatarURL,
-          allowedMentions: { parse: [] },
-        };
-        
-        if (options.pingRole && target.rolePing) {
-          payload.content = `<@&${target.rolePing}>`;
-          payload.allowedMentions = { roles: [target.rolePing] };
-        }
-        
-        if (options.components) {
-          // Serialize components to JSON for webhook compatibility
-          payload.components = options.components.map(c => c.toJSON ? c.toJSON() : c);
-        }
-        
-        const sent = await webhook.send(payload);
-        return { guildId: target.guildId, messageId: sent.id, channelId: target.channelId };
-      } catch (err) {
-        console.error(`[Bridge] Failed to broadcast to guild ${target.guildId}:`, err.message);
-        throw err;
-      }
-    })
-  );
+  // Other platforms get the embed as plain text (buttons don't carry over)
+  if (direction !== 'receive') {
+    await sendToEndpoints(config, channelType, options.network || MAIN_NETWORK, {
+      username: options.username || 'PDH Bridge',
+      content: embedToText(embed),
+      attachments: [],
+    });
+  }
+  
+  const jobIds = targets.map((target) => {
+    const payload = {
+      embeds: trimEmbeds([embed]),
+      username: options.username || 'PDH Bridge',
+      avatarURL: options.avatarURL,
+      allowedMentions: { parse: [] },
+    };
+    
+    if (options.pingRole && target.rolePing) {
+      payload.content = `<@&${target.rolePing}>`;
+      payload.allowedMentions = { roles: [target.rolePing] };
+    }
+    
+    if (options.components) {
+      // Serialize components to JSON for webhook compatibility
+      payload.components = options.components.map(c => c.toJSON ? c.toJSON() : c);
+    }
+    
+    return enqueueDelivery({
+      channelType,
+      guildId: target.guildId,
+      channelId: target.channelId,
+      webhookUrl: target.webhookUrl,
+      payload,
+      // LFG posts: track each copy once it REALLY lands, so cleanup finds it
+      meta: {
+        ...(options.lfgPostId ? { lfgPostId: options.lfgPostId } : {}),
+        ...(options.relaySource ? { relaySource: options.relaySource } : {}),
+      },
+    });
+  });
   
-  return results
-    .filter(r => r.status === 'fulfilled')
-    .map(r => r.value);
+  return attemptDeliveries(jobIds);
 }
 
 /**
@@ -229,8 +926,14 @@ async function ensureWebhook(channel, botUser) {
 
 module.exports = {
   relayMessage,
+  relayExternalMessage,
+  findCopyInGuild,
+  editRelayedCopies,
+  deleteRelayedCopies,
   broadcastEmbed,
   deleteAcrossServers,
   ensureWebhook,
+  healWebhook,
   getWebhookClient,
+  evictWebhookClient,
 };
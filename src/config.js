@@ -16,18 +16,184 @@ const path = require('path'); // Helps build file paths that work on any OS
 // __dirname means "the folder this file lives in"
 const CONFIG_PATH = path.join(__dirname, '..', 'bridge-config.json');
 
+// =============================================================
+// Channel type registry
+// =============================================================
+// Every kind of bridged channel is described here. To bridge a new
+// kind of channel (say "trades" or "deck-help"), add an entry under
+// "channelTypes" in bridge-config.json, re-run deploy-commands, and
+// use /pdh-setup type:trades on each server. No code changes needed.
+//
+//   label          - Human-readable name (shown in /pdh-setup and /pdh-status)
+//   emoji          - Icon used in status/confirmation messages
+//   moderated      - Run the profanity filter + strike system on posts
+//   posters        - Who may post: "everyone", "admins", or "owner"
+//   pingRole       - Ping the server's role for this type on each relay
+//   stripMentions  - Turn user/role/channel mentions into plain names
+//                    and neutralize @everyone/@here
+//   stripLinks     - Always remove links (otherwise moderated types
+//                    follow the global /pdh-config set links setting)
+//   reactionTotals - Allow opt-in cross-server reaction totals
+//   fileTypes      - Which attachments get relayed, as MIME types;
+//                    "image/*" matches any image, "*/*" anything
+//   forum          - The channel is a forum channel: every post is
+//                    mirrored as a forum post, with the same tags
+//   floodControl   - Apply the bridge-wide per-user rate limit
+//                    (see modules/floodcontrol.js)
+//
+// The four built-in types below are always present; bridge-config.json
+// can override their settings or add new ones alongside them.
+// =============================================================
+const DEFAULT_CHANNEL_TYPES = {
+  news: {
+    label: 'News', emoji: '📰', moderated: false, posters: 'owner',
+    pingRole: true, stripMentions: false, stripLinks: false, reactionTotals: true,
+    fileTypes: ['*/*'],
+  },
+  lfg: {
+    label: 'LFG', emoji: '🎮', moderated: false, posters: 'owner',
+    pingRole: false, stripMentions: false, stripLinks: false, reactionTotals: false,
+    fileTypes: ['*/*'],
+  },
+  discussion: {
+    label: 'Discussion', emoji: '💬', moderated: true, posters: 'everyone',
+    pingRole: false, stripMentions: true, stripLinks: false, reactionTotals: true,
+    fileTypes: ['image/*', 'video/*', 'audio/*', 'text/plain'], floodControl: true,
+  },
+  forum: {
+    label: 'Forum', emoji: '🗂️', moderated: true, posters: 'everyone',
+    pingRole: false, stripMentions: true, stripLinks: false, reactionTotals: true,
+    fileTypes: ['image/*', 'video/*', 'audio/*', 'text/plain'], forum: true, floodControl: true,
+  },
+};
+
+// =============================================================
+// Networks
+// =============================================================
+// One bot can run several independent bridges ("networks"), for
+// example the main PDH network plus a smaller regional or kid-safe
+// one. Messages, LFG posts and news only travel between channels
+// in the SAME network.
+//
+// The "main" network always exists. It uses the channels, webhooks
+// and roles stored directly on each server entry, so configs from
+// before networks existed keep working unchanged. Other networks
+// are declared under "networks" in bridge-config.json:
+//
+//   "networks": {
+//     "kidsafe": {
+//       "name": "PDH Kids",
+//       "settings": { "filterLinks": true, "rssNews": false }
+//     }
+//   }
+//
+// A server joins one with /pdh-setup network:kidsafe, which stores
+// that network's channels under servers[id].networks.kidsafe (same
+// shape: channels / webhooks / roles). A network's "settings" only
+// need the values that differ from the global settings.
+// =============================================================
+const MAIN_NETWORK = 'main';
+
+// Which way a bridged channel works, set per server with /pdh-direction:
+//   both    - sends its posts out AND receives everyone else's (default)
+//   send    - posts go out to the network, but nothing comes in
+//   receive - gets the network's posts, but its own posts stay local
+const DIRECTIONS = ['both', 'send', 'receive'];
+
+const DEFAULT_NETWORKS = {
+  [MAIN_NETWORK]: { name: 'PDH', settings: {} },
+};
+
+// =============================================================
+// External endpoints (non-Discord platforms)
+// =============================================================
+// A channel type can also include rooms on other chat platforms,
+// like an IRC channel. Each one is an "endpoint", handled by an
+// adapter from src/adapters/ and declared under "endpoints":
+//
+//   "endpoints": {
+//     "libera": {
+//       "adapter": "irc",                 <-- Which adapter (see adapters/index.js)
+//       "channelType": "discussion",      <-- Which channel type it joins
+//       "network": "main",                <-- Optional, "main" if missing
+//       "name": "Libera #pdh",            <-- Shown as the origin on Discord
+//       "tag": "IRC",                     <-- Optional, like a server tag
+//       "badge": "💬",                    <-- Optional, like a server badge
+//       "direction": "both",              <-- Optional, same as /pdh-direction
+//       "options": { "host": "irc.libera.chat", "port": 6697, "tls": true,
+//                    "nick": "PDHBridge", "channel": "#pdh" }
+//     }
+//   }
+// =============================================================
+
+// =============================================================
+// Strike ladder
+// =============================================================
+// What happens at each strike, in order. Strike 1 gets the first
+// step, strike 2 the second, and so on; past the end of the list the
+// last step repeats. Each step is one of:
+//
+//   "warning"    - a DM, no suspension
+//   "3d"         - suspended from the bridge for 3 days
+//   "2w" / "1m"  - the same in weeks / months (a month is 30 days)
+//   "permanent"  - permanently banned (only as the last step)
+//
+// "strikeBanAt" (0 = off) bans permanently at that strike, whatever
+// the ladder says. "strikeDecayDays" (0 = off) forgives one strike per
+// that many clean days, so an old slip doesn't count forever (see
+// getEffectiveStrikeCount in database.js). All three are set with
+// /pdh-config strike-ladder.
+//
+// The default matches the old fixed schedule up to the 5th strike.
+// That schedule then kept adding a month per strike; the ladder
+// repeats its last step instead (see "Strikes and Suspensions" in
+// the guide for how to get the longer schedule back).
+// =============================================================
+
+const DEFAULT_STRIKE_LADDER = ['warning', '1w', '1m', '2m', '3m'];
+const MAX_STRIKE_LADDER_STEPS = 10;
+const MAX_SUSPENSION_DAYS = 3650;
+
+const DAYS_PER_UNIT = { d: 1, w: 7, m: 30 };
+
 // Default configuration structure
 const DEFAULT_CONFIG = {
   // Each server in the bridge gets an entry here.
   // The setup wizard and /pdh-admin commands populate this.
   servers: {},
   
+  // Which kinds of channels can be bridged (see above)
+  channelTypes: DEFAULT_CHANNEL_TYPES,
+  
+  // Independent bridges run by this bot (see above)
+  networks: DEFAULT_NETWORKS,
+  
+  // Rooms on other chat platforms (see above)
+  endpoints: {},
+  
   // Global settings
   settings: {
     filterLinks: process.env.FILTER_LINKS === 'true',
     lfgExpiryMinutes: parseInt(process.env.LFG_EXPIRY_MINUTES) || 60,
     rssPollInterval: parseInt(process.env.RSS_POLL_INTERVAL) || 10,
     rssFeedUrl: process.env.RSS_FEED_URL || '',
+    deliveryMaxAttempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5,
+    rssNews: true, // Post RSS articles to this network's news channels
+    // How relayed messages show their origin server: "off", "tag"
+    // ("Alice · cPDH"), "badge" ("Alice · 🌲") or "both"
+    attribution: process.env.ATTRIBUTION || 'tag',
+    // Bridge-wide slow mode: each user can relay floodMessages per
+    // floodWindowSeconds, with up to floodBurst in a row (0 = off).
+    // floodStrikeAfter blocked messages earn a strike (0 = never).
+    floodMessages: 10,
+    floodWindowSeconds: 60,
+    floodBurst: 5,
+    floodStrikeAfter: 0,
+    // Punishment for each strike, and the strike that bans for good
+    // (0 = never). See "Strike ladder" above.
+    strikeLadder: DEFAULT_STRIKE_LADDER,
+    strikeBanAt: 0,
+    strikeDecayDays: 90, // One strike forgiven per this many clean days (0 = never)
   }
 };
 
@@ -37,6 +203,8 @@ const DEFAULT_CONFIG = {
 // "servers": {
 //   "123456789012345678": {        <-- Server (Guild) ID
 //     "name": "My PDH Server",
+//     "tag": "cPDH",                         <-- Optional, shown after relayed names
+//     "badge": "🌲",                         <-- Optional emoji, same place
 //     "channels": {
 //       "news": "111111111111111111",      <-- Channel ID
 //       "lfg": "222222222222222222",
@@ -50,6 +218,20 @@ const DEFAULT_CONFIG = {
 //     "roles": {
 //       "news": "444444444444444444",       <-- @news role ID
 //       "lfg": "555555555555555555"          <-- @lfg role ID
+//     },
+//     "directions": {                        <-- Optional, "both" if missing
+//       "discussion": "receive"
+//     },
+//     "reactionSync": false,                 <-- Show network-wide reaction totals
+//     "realMentions": false,                 <-- Relayed @mentions of members here really ping
+//     "pinSync": "off",                      <-- "receive": follow pins from trusted servers,
+//                                                "trusted": also pin/unpin across the bridge (owner sets this)
+//     "modLog": {                            <-- Optional, same as /pdh-modlog
+//       "channelId": "666666666666666666",
+//       "scope": "network"                   <-- "network": every server's actions, "local": only this server's
+//     },
+//     "networks": {                          <-- Channels in other networks
+//       "kidsafe": { "channels": {...}, "webhooks": {...}, "roles": {...} }
 //     }
 //   }
 // }
@@ -65,7 +247,13 @@ function loadConfig() {
       const raw = fs.readFileSync(CONFIG_PATH, 'utf-8');
       const loaded = JSON.parse(raw);
       // Merge with defaults so new settings are always present
-      return { ...DEFAULT_CONFIG, ...loaded, settings: { ...DEFAULT_CONFIG.settings, ...loaded.settings } };
+      return {
+        ...DEFAULT_CONFIG,
+        ...loaded,
+        settings: { ...DEFAULT_CONFIG.settings, ...loaded.settings },
+        channelTypes: mergeChannelTypes(loaded.channelTypes),
+        networks: { ...DEFAULT_NETWORKS, ...loaded.networks },
+      };
     }
   } catch (err) {
     console.error('[Config] Error loading config, using defaults:', err.message);
@@ -73,6 +261,73 @@ function loadConfig() {
   return { ...DEFAULT_CONFIG };
 }
 
+/**
+ * Merge channel types from the config file over the built-in ones.
+ * A partial entry (e.g. just { "pingRole": false } for news) only
+ * changes the settings it mentions.
+ */
+function mergeChannelTypes(loadedTypes = {}) {
+  const merged = { ...DEFAULT_CHANNEL_TYPES };
+  for (const [type, settings] of Object.entries(loadedTypes)) {
+    merged[type] = {
+      label: type, emoji: '🔗', moderated: true, posters: 'everyone',
+      pingRole: false, stripMentions: true, stripLinks: false, reactionTotals: false,
+      fileTypes: ['image/*'], floodControl: true,
+      ...DEFAULT_CHANNEL_TYPES[type],
+      ...settings,
+    };
+  }
+  return merged;
+}
+
+/**
+ * Look up a channel type's settings. Returns null for types that
+ * aren't registered (so stale entries in a server's config are ignored).
+ */
+function getChannelType(config, channelType) {
+  return config.channelTypes?.[channelType] || null;
+}
+
+/**
+ * Get a server's channel mapping ({ channels, webhooks, roles }) in
+ * one network. For "main" that's the server entry itself.
+ * Returns null if the server has no channels in that network.
+ */
+function getNetworkMapping(server, networkId = MAIN_NETWORK) {
+  if (!server) return null;
+  const mapping = networkId === MAIN_NETWORK ? server : server.networks?.[networkId];
+  return mapping?.channels ? mapping : null;
+}
+
+/**
+ * List every network a server has channels in, as [networkId, mapping]
+ * pairs. Networks no longer declared in the config are left out, so
+ * their channels stop bridging.
+ */
+function getServerNetworks(config, server) {
+  const networkIds = [MAIN_NETWORK, ...Object.keys(server.networks || {})];
+  return networkIds
+    .filter(id => config.networks?.[id])
+    .map(id => [id, getNetworkMapping(server, id)])
+    .filter(([, mapping]) => mapping);
+}
+
+/**
+ * Which way a channel type works in a server's mapping: "both",
+ * "send" or "receive" (see DIRECTIONS above).
+ */
+function getChannelDirection(mapping, channelType) {
+  return mapping?.directions?.[channelType] || 'both';
+}
+
+/**
+ * Settings for one network: the global settings, with anything the
+ * network overrides swapped in.
+ */
+function getNetworkSettings(config, networkId = MAIN_NETWORK) {
+  return { ...config.settings, ...config.networks?.[networkId]?.settings };
+}
+
 /**
  * Save the bridge config to disk.
  * JSON.stringify with (null, 2) makes it human-readable with 2-space indentation.
@@ -98,20 +353,23 @@ function removeServer(config, guildId) {
 }
 
 /**
- * Get all channel IDs for a specific channel type (news, lfg, discussion)
- * across all servers, EXCEPT the one specified by excludeGuildId.
+ * Get all channel IDs for a specific channel type (news, lfg, discussion, ...)
+ * across all servers in a network, EXCEPT the one specified by excludeGuildId.
  * This is used when relaying: "send to everyone except the server it came from."
+ * Send-only channels are never targets.
  */
-function getRelayTargets(config, channelType, excludeGuildId) {
+function getRelayTargets(config, channelType, excludeGuildId, networkId = MAIN_NETWORK) {
   const targets = [];
   for (const [guildId, server] of Object.entries(config.servers)) {
     if (guildId === excludeGuildId) continue;
-    if (server.channels[channelType] && server.webhooks[channelType]) {
+    const mapping = getNetworkMapping(server, networkId);
+    if (getChannelDirection(mapping, channelType) === 'send') continue;
+    if (mapping?.channels[channelType] && mapping.webhooks?.[channelType]) {
       targets.push({
         guildId,
-        channelId: server.channels[channelType],
-        webhookUrl: server.webhooks[channelType],
-        rolePing: server.roles?.[channelType] || null,
+        channelId: mapping.channels[channelType],
+        webhookUrl: mapping.webhooks[channelType],
+        rolePing: mapping.roles?.[channelType] || null,
       });
     }
   }
@@ -119,16 +377,90 @@ function getRelayTargets(config, channelType, excludeGuildId) {
 }
 
 /**
- * Find which server and channel type a message came from.
- * Returns { guildId, channelType } or null if the channel isn't bridged.
+ * Get every external endpoint that should receive relays for a
+ * channel type in one network. Send-only endpoints are skipped,
+ * like send-only servers in getRelayTargets.
+ *
+ * @param {string} excludeId - Endpoint the message came from, if any
+ */
+function getEndpointTargets(config, channelType, networkId = MAIN_NETWORK, excludeId = null) {
+  return Object.entries(config.endpoints || {})
+    .filter(([id, endpoint]) => id !== excludeId
+      && endpoint.channelType === channelType
+      && (endpoint.network || MAIN_NETWORK) === networkId
+      && endpoint.direction !== 'send')
+    .map(([id, endpoint]) => ({ id, ...endpoint }));
+}
+
+/**
+ * Read one strike ladder step ("warning", "3d", "2w", "1m", "permanent").
+ * Returns { type: "warning" | "suspension" | "permanent", days } or
+ * null if the step isn't valid.
+ */
+function parseStrikeStep(text) {
+  const step = String(text).trim().toLowerCase();
+  if (step === 'warning' || step === 'permanent') return { type: step, days: 0 };
+  
+  const match = step.match(/^(\d+)\s*([dwm])$/);
+  const days = match ? parseInt(match[1]) * DAYS_PER_UNIT[match[2]] : 0;
+  if (days < 1 || days > MAX_SUSPENSION_DAYS) return null;
+  return { type: 'suspension', days };
+}
+
+/**
+ * Check a whole ladder, e.g. from /pdh-config strike-ladder.
+ * Returns an error message, or null if it's fine.
+ */
+function validateStrikeLadder(steps) {
+  if (steps.length < 1 || steps.length > MAX_STRIKE_LADDER_STEPS) {
+    return `The ladder needs 1 to ${MAX_STRIKE_LADDER_STEPS} steps.`;
+  }
+  const bad = steps.find(step => !parseStrikeStep(step));
+  if (bad !== undefined) return `"${bad}" isn't a step. Use warning, a length like 3d, 2w or 1m, or permanent.`;
+  if (steps.slice(0, -1).some(step => parseStrikeStep(step).type === 'permanent')) {
+    return '"permanent" can only be the last step.';
+  }
+  return null;
+}
+
+/**
+ * What a given strike earns under the network's settings.
+ * Returns { type, days, duration } where duration is readable text
+ * like "2 weeks" (empty for warnings and permanent bans).
+ * Used by both db.addStrike and the strike DM, so they always agree.
+ */
+function getStrikeStep(settings, strikeCount) {
+  const ladder = settings.strikeLadder?.length ? settings.strikeLadder : DEFAULT_STRIKE_LADDER;
+  let step = parseStrikeStep(ladder[Math.min(strikeCount, ladder.length) - 1]) || { type: 'warning', days: 0 };
+  if (settings.strikeBanAt > 0 && strikeCount >= settings.strikeBanAt) step = { type: 'permanent', days: 0 };
+  return { ...step, duration: formatDays(step.days) };
+}
+
+/**
+ * "7" → "1 week", "60" → "2 months", "3" → "3 days".
+ */
+function formatDays(days) {
+  if (!days) return '';
+  const [count, unit] = days % 30 === 0 ? [days / 30, 'month']
+    : days % 7 === 0 ? [days / 7, 'week']
+    : [days, 'day'];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Find which server, channel type and network a message came from.
+ * Returns { guildId, channelType, network, direction } or null if the
+ * channel isn't bridged.
  */
 function identifyChannel(config, guildId, channelId) {
   const server = config.servers[guildId];
   if (!server) return null;
   
-  for (const [type, id] of Object.entries(server.channels)) {
-    if (id === channelId) {
-      return { guildId, channelType: type };
+  for (const [network, mapping] of getServerNetworks(config, server)) {
+    for (const [type, id] of Object.entries(mapping.channels)) {
+      if (id === channelId) {
+        return { guildId, channelType: type, network, direction: getChannelDirection(mapping, type) };
+      }
     }
   }
   return null;
@@ -143,7 +475,17 @@ module.exports = {
   setServer,
   removeServer,
   getRelayTargets,
+  getEndpointTargets,
   identifyChannel,
+  getStrikeStep,
+  validateStrikeLadder,
+  getChannelType,
+  getNetworkMapping,
+  getServerNetworks,
+  getNetworkSettings,
+  getChannelDirection,
+  MAIN_NETWORK,
+  DIRECTIONS,
   CONFIG_PATH,
   // Also export raw env vars that other files need
   env: {
@@ -3,12 +3,17 @@
 // =============================================================
 const Database = require('better-sqlite3');
 const path = require('path');
+const { getStrikeStep } = require('./config');
 
 const DB_PATH = path.join(__dirname, '..', 'pdh-bridge.db');
 let db;
 
-function initDatabase() {
-  db = new Database(DB_PATH);
+/**
+ * Open (or create) the database. Tests pass ":memory:" to get a
+ * throwaway one instead of the bot's real data.
+ */
+function initDatabase(file = DB_PATH) {
+  db = new Database(file);
   db.pragma('journal_mode = WAL');
   
   db.exec(`
@@ -36,6 +41,58 @@ function initDatabase() {
       created_at TEXT DEFAULT (datetime('now'))
     )
   `);
+  // Set by /pdh-ban. permanent_ban is the ban itself, whatever caused
+  // it; this remembers that a moderator banned the user by hand, so
+  // overturning a strike doesn't lift that ban along with its own.
+  // Bans in older databases that no strike explains were manual.
+  if (addColumnIfMissing('user_strikes', 'manual_ban', 'INTEGER NOT NULL DEFAULT 0')) {
+    db.exec(`
+      UPDATE user_strikes SET manual_ban = 1 WHERE permanent_ban = 1 AND user_id NOT IN
+        (SELECT user_id FROM strike_history WHERE action_taken = 'permanent_ban')
+    `);
+  }
+  // When the suspension from this strike ended (strike decay counts
+  // clean time from then, not from the strike itself)
+  addColumnIfMissing('strike_history', 'suspended_until', 'TEXT');
+  // Set when an appeal is approved; the row stays for the record
+  addColumnIfMissing('strike_history', 'overturned', 'INTEGER NOT NULL DEFAULT 0');
+  
+  // Appeals against a strike (strike_id) or a ban (strike_id NULL).
+  // status: 'pending', 'approved' or 'denied'
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS appeals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      username TEXT,
+      strike_id INTEGER,
+      explanation TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      queue_channel_id TEXT,
+      queue_message_id TEXT,
+      reviewer_id TEXT,
+      reviewer_name TEXT,
+      reviewed_at TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_appeals_user ON appeals (user_id)');
+  
+  // Custom profanity filter terms (/pdh-filter).
+  // list: 'block' (filter it) or 'allow' (never filter it)
+  // guild_id: NULL for the whole bridge, or the one server whose posts it applies to
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS filter_words (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      term TEXT NOT NULL,
+      list TEXT NOT NULL,
+      guild_id TEXT,
+      reason TEXT,
+      added_by TEXT,
+      added_by_name TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_filter_words_term ON filter_words (term, list, IFNULL(guild_id, ''))");
   
   // LFG posts - now PDH-specific with game_type and notes
   db.exec(`
@@ -52,6 +109,8 @@ function initDatabase() {
       expired INTEGER DEFAULT 0
     )
   `);
+  // Which bridge network the post was broadcast in (see config.js)
+  addColumnIfMissing('lfg_posts', 'network', "TEXT NOT NULL DEFAULT 'main'");
   
   // NEW: Track individual players in each LFG post
   // The UNIQUE constraint prevents double-joining
@@ -86,9 +145,122 @@ function initDatabase() {
     )
   `);
 
+  // Relay mapping: one row per webhook copy of a bridged message.
+  // Webhook messages can only be edited/deleted by the webhook that
+  // sent them, so we remember which webhook URL produced each copy.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS relayed_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_message_id TEXT NOT NULL,
+      source_guild_id TEXT NOT NULL,
+      source_channel_id TEXT NOT NULL,
+      channel_type TEXT NOT NULL,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      webhook_url TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_relayed_source ON relayed_messages (source_message_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_relayed_copy ON relayed_messages (message_id)');
+  // Long messages are split into several parts per server (0, 1, 2...)
+  addColumnIfMissing('relayed_messages', 'part_index', 'INTEGER NOT NULL DEFAULT 0');
+  // Copies posted inside a thread (webhook edits/deletes need its ID)
+  addColumnIfMissing('relayed_messages', 'thread_id', 'TEXT');
+  
+  // Mirrored threads: one row per server's copy of a thread (the
+  // original included), grouped by the thread they were mirrored from.
+  // channel_id is the thread's parent channel (text or forum).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS relayed_threads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_thread_id TEXT NOT NULL,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      thread_id TEXT NOT NULL UNIQUE,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_relayed_threads_source ON relayed_threads (source_thread_id)');
+  
+  // Bridged messages known to be pinned, per channel. Comparing this
+  // with a channel's pins shows what was just pinned or unpinned.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS synced_pins (
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (channel_id, message_id)
+    )
+  `);
+
+  // Outbound delivery queue: one row per webhook send to one server.
+  // status: 'pending' (waiting/retrying), 'done', 'dead' (gave up), or
+  // 'cancelled' (the source message was deleted before it went out)
+  // payload is the webhook message as JSON; meta says what to record
+  // once the send succeeds (relay mapping, LFG message tracking).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS delivery_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel_type TEXT NOT NULL,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      webhook_url TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      meta TEXT NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      next_attempt_at TEXT DEFAULT (datetime('now')),
+      last_error TEXT,
+      message_id TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_delivery_due ON delivery_jobs (status, next_attempt_at)');
+
+  // Bot-owned copies of custom emojis from servers the bot isn't in,
+  // so they can be shown on every server instead of as :name: text.
+  // Keyed by the ORIGINAL emoji's ID.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS emoji_cache (
+      source_emoji_id TEXT PRIMARY KEY,
+      app_emoji_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      animated INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now')),
+      last_used_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  // Network-wide poll results: the bot's reply under the original
+  // poll that shows the votes from every server added up
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS poll_tallies (
+      source_message_id TEXT PRIMARY KEY,
+      channel_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
   console.log('[Database] Initialized successfully');
 }
 
+/**
+ * Add a column to an existing table, if it isn't there yet.
+ * CREATE TABLE IF NOT EXISTS does nothing for a table that already
+ * exists, so databases from older versions need new columns added.
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
 // =============================================================
 // STRIKE / MODERATION FUNCTIONS
 // =============================================================
@@ -97,35 +269,93 @@ function getUser(userId) {
   return db.prepare('SELECT * FROM user_strikes WHERE user_id = ?').get(userId);
 }
 
-function addStrike(userId, username, channelType, guildId, flaggedContent) {
+/**
+ * Give a user a strike. What it costs them comes from the strike
+ * ladder in the network's settings (see getStrikeStep in config.js),
+ * climbed by their EFFECTIVE strike count (after decay, see below).
+ * Returns { strikeId, strikeCount, rawCount, suspendedUntil, actionTaken, step },
+ * where strikeCount is the effective count including this strike.
+ */
+function addStrike(userId, username, channelType, guildId, flaggedContent, settings = {}) {
   const transaction = db.transaction(() => {
     let user = getUser(userId);
     if (!user) {
       db.prepare(`INSERT INTO user_strikes (user_id, username, strike_count, last_strike_date) VALUES (?, ?, 0, datetime('now'))`).run(userId, username);
       user = getUser(userId);
     }
-    const newCount = user.strike_count + 1;
+    const rawCount = user.strike_count + 1;
+    const newCount = getEffectiveStrikeCount(userId, settings.strikeDecayDays) + 1;
+    const step = getStrikeStep(settings, newCount);
     let suspendedUntil = null;
     let actionTaken = 'warning';
-    if (newCount >= 2) {
-      const now = new Date();
-      let suspensionDays;
-      switch (newCount) {
-        case 2: suspensionDays = 7; actionTaken = 'suspended_1_week'; break;
-        case 3: suspensionDays = 30; actionTaken = 'suspended_1_month'; break;
-        case 4: suspensionDays = 60; actionTaken = 'suspended_2_months'; break;
-        case 5: suspensionDays = 90; actionTaken = 'suspended_3_months'; break;
-        default: suspensionDays = (newCount - 2) * 30; actionTaken = `suspended_${newCount - 2}_months`; break;
-      }
-      suspendedUntil = new Date(now.getTime() + suspensionDays * 24 * 60 * 60 * 1000).toISOString();
+    if (step.type === 'suspension') {
+      suspendedUntil = new Date(Date.now() + step.days * 24 * 60 * 60 * 1000).toISOString();
+      actionTaken = `suspended_${step.duration.replace(' ', '_')}`;
+    } else if (step.type === 'permanent') {
+      actionTaken = 'permanent_ban';
     }
-    db.prepare(`UPDATE user_strikes SET strike_count = ?, suspended_until = ?, username = ?, last_strike_date = datetime('now') WHERE user_id = ?`).run(newCount, suspendedUntil, username, userId);
-    db.prepare(`INSERT INTO strike_history (user_id, username, channel_type, guild_id, flagged_content, strike_number, action_taken) VALUES (?, ?, ?, ?, ?, ?, ?)`).run(userId, username, channelType, guildId, flaggedContent, newCount, actionTaken);
-    return { strikeCount: newCount, suspendedUntil, actionTaken };
+    db.prepare(`UPDATE user_strikes SET strike_count = ?, suspended_until = ?, permanent_ban = MAX(COALESCE(permanent_ban, 0), ?), username = ?, last_strike_date = datetime('now') WHERE user_id = ?`)
+      .run(rawCount, suspendedUntil, step.type === 'permanent' ? 1 : 0, username, userId);
+    const strike = db.prepare(`INSERT INTO strike_history (user_id, username, channel_type, guild_id, flagged_content, strike_number, action_taken, suspended_until) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(userId, username, channelType, guildId, flaggedContent, rawCount, actionTaken, suspendedUntil);
+    return { strikeId: strike.lastInsertRowid, strikeCount: newCount, rawCount, suspendedUntil, actionTaken, step };
   });
   return transaction();
 }
 
+// LEARNING NOTE ON STRIKE DECAY:
+// user_strikes.strike_count only ever goes up. For the ladder, strikes
+// "wear off" instead: every decayDays clean days (no new strikes, and
+// not counting time spent suspended) forgive one strike. Nothing is
+// deleted — the effective count is worked out from strike_history
+// each time, so the full record stays there for moderators.
+
+/**
+ * How many of a user's strikes still count, after decay.
+ * With decayDays 0 (or unset), nothing decays.
+ */
+function getEffectiveStrikeCount(userId, decayDays, now = Date.now()) {
+  return getStrikeDecay(userId, decayDays, now).count;
+}
+
+/**
+ * The full decay result for a user: { count, forgivenIds }, where
+ * forgivenIds are the strikes decay has worn off (for /pdh-strikes).
+ */
+function getStrikeDecay(userId, decayDays, now = Date.now()) {
+  const history = db.prepare('SELECT id, created_at, suspended_until FROM strike_history WHERE user_id = ? AND overturned = 0 ORDER BY created_at, id').all(userId);
+  return walkStrikeDecay(history, decayDays, now);
+}
+
+/**
+ * The decay walk itself, over a user's counted strikes in order.
+ * Each clean stretch (from a strike, or the end of its suspension,
+ * to the next strike) forgives one strike per decayDays, oldest first.
+ * Kept free of the database so test-strike-decay.js can check it.
+ */
+function walkStrikeDecay(history, decayDays, now = Date.now()) {
+  if (!(decayDays > 0)) return { count: history.length, forgivenIds: new Set() };
+  
+  const windowMs = decayDays * 24 * 60 * 60 * 1000;
+  const counting = [];
+  const forgivenIds = new Set();
+  const forgive = (from, to) => {
+    let windows = Math.floor(Math.max(0, to - from) / windowMs);
+    while (windows-- > 0 && counting.length > 0) forgivenIds.add(counting.shift());
+  };
+  
+  let cleanSince = null;
+  for (const strike of history) {
+    // SQLite's datetime('now') is UTC but has no "Z" on the end
+    const at = Date.parse(`${strike.created_at.replace(' ', 'T')}Z`);
+    if (cleanSince !== null) forgive(cleanSince, at);
+    counting.push(strike.id);
+    cleanSince = Math.max(at, strike.suspended_until ? Date.parse(strike.suspended_until) : 0);
+  }
+  if (cleanSince !== null) forgive(cleanSince, now);
+  return { count: counting.length, forgivenIds };
+}
+
 function isUserSuspended(userId) {
   const user = getUser(userId);
   if (!user) return false;
@@ -137,29 +367,155 @@ function isUserSuspended(userId) {
 function permanentBan(userId, username) {
   const user = getUser(userId);
   if (!user) {
-    db.prepare(`INSERT INTO user_strikes (user_id, username, permanent_ban, last_strike_date) VALUES (?, ?, 1, datetime('now'))`).run(userId, username);
+    db.prepare(`INSERT INTO user_strikes (user_id, username, permanent_ban, manual_ban, last_strike_date) VALUES (?, ?, 1, 1, datetime('now'))`).run(userId, username);
   } else {
-    db.prepare('UPDATE user_strikes SET permanent_ban = 1, username = ? WHERE user_id = ?').run(username, userId);
+    db.prepare('UPDATE user_strikes SET permanent_ban = 1, manual_ban = 1, username = ? WHERE user_id = ?').run(username, userId);
   }
 }
 
+/**
+ * /pdh-unban: lift the ban and any running suspension.
+ */
 function removeBan(userId) {
-  db.prepare('UPDATE user_strikes SET permanent_ban = 0, suspended_until = NULL WHERE user_id = ?').run(userId);
+  db.prepare('UPDATE user_strikes SET permanent_ban = 0, manual_ban = 0, suspended_until = NULL WHERE user_id = ?').run(userId);
+}
+
+/**
+ * An approved appeal against a ban: lift the ban only. A suspension
+ * from a strike is a separate matter, with its own appeal.
+ */
+function liftBan(userId) {
+  db.prepare('UPDATE user_strikes SET permanent_ban = 0, manual_ban = 0 WHERE user_id = ?').run(userId);
 }
 
 function getStrikeHistory(userId) {
   return db.prepare('SELECT * FROM strike_history WHERE user_id = ? ORDER BY created_at DESC').all(userId);
 }
 
+function getStrike(strikeId) {
+  return db.prepare('SELECT * FROM strike_history WHERE id = ?').get(strikeId);
+}
+
+/**
+ * Undo a strike after a successful appeal. The strike stays in the
+ * history (marked overturned) but no longer counts, and the user's
+ * current suspension or ban goes back to what their remaining strikes
+ * call for.
+ */
+function overturnStrike(strikeId) {
+  const transaction = db.transaction(() => {
+    const strike = getStrike(strikeId);
+    if (!strike || strike.overturned) return false;
+    db.prepare('UPDATE strike_history SET overturned = 1 WHERE id = ?').run(strikeId);
+    
+    db.prepare('UPDATE user_strikes SET strike_count = MAX(strike_count - 1, 0) WHERE user_id = ?').run(strike.user_id);
+    
+    // Only the latest strike set the current suspension; undoing it
+    // falls back to the one before (which has usually run out)
+    const remaining = db.prepare('SELECT * FROM strike_history WHERE user_id = ? AND overturned = 0 ORDER BY created_at DESC, id DESC').all(strike.user_id);
+    const latest = db.prepare('SELECT id FROM strike_history WHERE user_id = ? ORDER BY created_at DESC, id DESC').get(strike.user_id);
+    if (latest.id === strike.id) {
+      db.prepare('UPDATE user_strikes SET suspended_until = ? WHERE user_id = ?').run(remaining[0]?.suspended_until || null, strike.user_id);
+    }
+    // A ban from this strike is lifted (bans from /pdh-ban are not)
+    if (strike.action_taken === 'permanent_ban' && !remaining.some(s => s.action_taken === 'permanent_ban')) {
+      db.prepare('UPDATE user_strikes SET permanent_ban = 0 WHERE user_id = ? AND manual_ban = 0').run(strike.user_id);
+    }
+    return true;
+  });
+  return transaction();
+}
+
 // =============================================================
-// LFG FUNCTIONS (with individual player tracking)
+// APPEAL FUNCTIONS
 // =============================================================
 
-function createLfgPost(creatorId, creatorName, gameType, notes, maxPlayers, expiresAt) {
+function createAppeal(userId, username, strikeId, explanation) {
+  return db.prepare('INSERT INTO appeals (user_id, username, strike_id, explanation) VALUES (?, ?, ?, ?)')
+    .run(userId, username, strikeId, explanation).lastInsertRowid;
+}
+
+function getAppeal(appealId) {
+  return db.prepare('SELECT * FROM appeals WHERE id = ?').get(appealId);
+}
+
+/**
+ * The user's appeal against one strike, or against their ban
+ * (strikeId null), if they've made one.
+ */
+function findAppeal(userId, strikeId) {
+  return strikeId
+    ? db.prepare('SELECT * FROM appeals WHERE user_id = ? AND strike_id = ?').get(userId, strikeId)
+    : db.prepare("SELECT * FROM appeals WHERE user_id = ? AND strike_id IS NULL AND status = 'pending'").get(userId);
+}
+
+/**
+ * Forget an appeal that never reached the moderators, so the user
+ * can try again.
+ */
+function deleteAppeal(appealId) {
+  db.prepare('DELETE FROM appeals WHERE id = ?').run(appealId);
+}
+
+function setAppealQueueMessage(appealId, channelId, messageId) {
+  db.prepare('UPDATE appeals SET queue_channel_id = ?, queue_message_id = ? WHERE id = ?').run(channelId, messageId, appealId);
+}
+
+/**
+ * Record a moderator's decision. Returns false if the appeal was
+ * already decided (two moderators clicking at once).
+ */
+function resolveAppeal(appealId, status, reviewerId, reviewerName) {
+  const result = db.prepare(`
+    UPDATE appeals SET status = ?, reviewer_id = ?, reviewer_name = ?, reviewed_at = datetime('now')
+    WHERE id = ? AND status = 'pending'
+  `).run(status, reviewerId, reviewerName, appealId);
+  return result.changes > 0;
+}
+
+// =============================================================
+// FILTER WORD FUNCTIONS
+// =============================================================
+
+/**
+ * Add a custom filter term. Returns false if it's already on that list.
+ */
+function addFilterWord(term, list, guildId, reason, addedBy, addedByName) {
   const result = db.prepare(`
-    INSERT INTO lfg_posts (creator_id, creator_name, game_type, notes, max_players, expires_at)
+    INSERT OR IGNORE INTO filter_words (term, list, guild_id, reason, added_by, added_by_name)
     VALUES (?, ?, ?, ?, ?, ?)
-  `).run(creatorId, creatorName, gameType, notes, maxPlayers, expiresAt);
+  `).run(term, list, guildId, reason, addedBy, addedByName);
+  return result.changes > 0;
+}
+
+/**
+ * Returns false if the term wasn't on that list.
+ */
+function removeFilterWord(term, list, guildId) {
+  return db.prepare('DELETE FROM filter_words WHERE term = ? AND list = ? AND guild_id IS ?')
+    .run(term, list, guildId).changes > 0;
+}
+
+function getFilterWord(term, list, guildId) {
+  return db.prepare('SELECT * FROM filter_words WHERE term = ? AND list = ? AND guild_id IS ?').get(term, list, guildId);
+}
+
+/**
+ * Every custom term (network-wide and every server's), alphabetically.
+ */
+function getFilterWords() {
+  return db.prepare('SELECT * FROM filter_words ORDER BY term').all();
+}
+
+// =============================================================
+// LFG FUNCTIONS (with individual player tracking)
+// =============================================================
+
+function createLfgPost(creatorId, creatorName, gameType, notes, maxPlayers, expiresAt, network = 'main') {
+  const result = db.prepare(`
+    INSERT INTO lfg_posts (creator_id, creator_name, game_type, notes, max_players, expires_at, network)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(creatorId, creatorName, gameType, notes, maxPlayers, expiresAt, network);
   const postId = result.lastInsertRowid;
   // Auto-add the creator as player #1
   addLfgPlayer(postId, creatorId, creatorName);
@@ -267,9 +623,293 @@ function countSeenArticles() {
   return db.prepare('SELECT COUNT(*) as cnt FROM seen_articles').get().cnt;
 }
 
+// =============================================================
+// RELAY MAPPING FUNCTIONS
+// =============================================================
+// Links each source message to every webhook copy it produced, so
+// edits (and deletions) can follow the message across servers.
+
+function addRelayedMessage(source, copy) {
+  db.prepare(`
+    INSERT INTO relayed_messages (source_message_id, source_guild_id, source_channel_id, channel_type, guild_id, channel_id, message_id, webhook_url, part_index, thread_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(source.messageId, source.guildId, source.channelId, source.channelType, copy.guildId, copy.channelId, copy.messageId, copy.webhookUrl, copy.partIndex || 0, copy.threadId || null);
+}
+
+/**
+ * Every copy of a source message. A split message has several rows
+ * per server; first parts come first.
+ */
+function getRelayedCopies(sourceMessageId) {
+  return db.prepare('SELECT * FROM relayed_messages WHERE source_message_id = ? ORDER BY part_index, id').all(sourceMessageId);
+}
+
+/**
+ * Find the whole relay "family" a message belongs to. Works whether
+ * the ID is the original message or one of its webhook copies.
+ * Returns { source, channelType, copies } or null if it isn't bridged.
+ */
+function getRelayGroup(messageId) {
+  const row = db.prepare(`
+    SELECT source_message_id, source_guild_id, source_channel_id, channel_type
+    FROM relayed_messages WHERE source_message_id = ? OR message_id = ? LIMIT 1
+  `).get(messageId, messageId);
+  if (!row) return null;
+  return {
+    source: { guildId: row.source_guild_id, channelId: row.source_channel_id, messageId: row.source_message_id },
+    channelType: row.channel_type,
+    copies: getRelayedCopies(row.source_message_id),
+  };
+}
+
+function removeRelayedCopies(sourceMessageId) {
+  db.prepare('DELETE FROM relayed_messages WHERE source_message_id = ?').run(sourceMessageId);
+}
+
+/**
+ * Forget a single copy (e.g. a leftover part after an edit made the
+ * message shorter).
+ */
+function removeRelayedCopy(messageId) {
+  db.prepare('DELETE FROM relayed_messages WHERE message_id = ?').run(messageId);
+}
+
+/**
+ * Forget mappings older than the given number of days.
+ * Keeps the table from growing forever; very old messages simply
+ * stop following edits.
+ */
+function pruneRelayedMessages(days) {
+  return db.prepare(`DELETE FROM relayed_messages WHERE created_at <= datetime('now', ?)`).run(`-${days} days`).changes;
+}
+
+// =============================================================
+// THREAD MAPPING FUNCTIONS
+// =============================================================
+// Links a thread (or forum post) to its mirrors on the other servers,
+// so messages posted inside any of them reach all the others.
+
+function addRelayedThread(sourceThreadId, thread) {
+  db.prepare(`
+    INSERT OR IGNORE INTO relayed_threads (source_thread_id, guild_id, channel_id, thread_id)
+    VALUES (?, ?, ?, ?)
+  `).run(sourceThreadId, thread.guildId, thread.channelId, thread.threadId);
+}
+
+/**
+ * Every copy of the thread a given thread belongs to (the original
+ * included), or an empty list if it isn't mirrored.
+ */
+function getThreadGroup(threadId) {
+  return db.prepare(`
+    SELECT * FROM relayed_threads WHERE source_thread_id = (
+      SELECT source_thread_id FROM relayed_threads WHERE thread_id = ?
+    ) ORDER BY id
+  `).all(threadId);
+}
+
+/**
+ * Forget a deleted thread. Its mirrors stay linked to each other.
+ */
+function removeRelayedThread(threadId) {
+  db.prepare('DELETE FROM relayed_threads WHERE thread_id = ?').run(threadId);
+}
+
+// =============================================================
+// PIN SYNC FUNCTIONS
+// =============================================================
+
+function getSyncedPins(channelId) {
+  return db.prepare('SELECT message_id FROM synced_pins WHERE channel_id = ?').all(channelId).map(row => row.message_id);
+}
+
+function addSyncedPin(guildId, channelId, messageId) {
+  db.prepare('INSERT OR IGNORE INTO synced_pins (guild_id, channel_id, message_id) VALUES (?, ?, ?)').run(guildId, channelId, messageId);
+}
+
+function removeSyncedPin(channelId, messageId) {
+  db.prepare('DELETE FROM synced_pins WHERE channel_id = ? AND message_id = ?').run(channelId, messageId);
+}
+
+// =============================================================
+// DELIVERY QUEUE FUNCTIONS
+// =============================================================
+
+function enqueueDelivery(job) {
+  const result = db.prepare(`
+    INSERT INTO delivery_jobs (channel_type, guild_id, channel_id, webhook_url, payload, meta)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(job.channelType, job.guildId, job.channelId, job.webhookUrl, JSON.stringify(job.payload), JSON.stringify(job.meta || {}));
+  return result.lastInsertRowid;
+}
+
+function getDelivery(jobId) {
+  return db.prepare('SELECT * FROM delivery_jobs WHERE id = ?').get(jobId);
+}
+
+/**
+ * Pending jobs whose retry time has come, oldest first.
+ */
+function getDueDeliveries(limit) {
+  return db.prepare(`
+    SELECT * FROM delivery_jobs
+    WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+    ORDER BY id LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Is an older job to the same webhook still waiting to go out?
+ * Used to keep messages to one channel in order across retries.
+ */
+function hasEarlierPendingDelivery(webhookUrl, jobId) {
+  return !!db.prepare(`SELECT 1 FROM delivery_jobs WHERE webhook_url = ? AND status = 'pending' AND id < ?`).get(webhookUrl, jobId);
+}
+
+/**
+ * Returns false if the job was cancelled while it was being sent.
+ */
+function markDeliveryDone(jobId, messageId) {
+  return db.prepare(`UPDATE delivery_jobs SET status = 'done', message_id = ?, attempts = attempts + 1, last_error = NULL, updated_at = datetime('now') WHERE id = ? AND status = 'pending'`).run(messageId, jobId).changes > 0;
+}
+
+function scheduleDeliveryRetry(jobId, attempts, delaySeconds, error) {
+  db.prepare(`UPDATE delivery_jobs SET attempts = ?, next_attempt_at = datetime('now', ?), last_error = ?, updated_at = datetime('now') WHERE id = ?`).run(attempts, `+${delaySeconds} seconds`, error, jobId);
+}
+
+function markDeliveryDead(jobId, attempts, error) {
+  db.prepare(`UPDATE delivery_jobs SET status = 'dead', attempts = ?, last_error = ?, updated_at = datetime('now') WHERE id = ?`).run(attempts, error, jobId);
+}
+
+/**
+ * Stop every unsent copy of a relayed message (it was deleted, or
+ * pulled back by the profanity filter), including dead letters, so a
+ * retry or replay can't post it later. Returns how many were stopped.
+ */
+function cancelDeliveriesForSource(sourceMessageId) {
+  return db.prepare(`
+    UPDATE delivery_jobs SET status = 'cancelled', updated_at = datetime('now')
+    WHERE status IN ('pending', 'dead') AND json_extract(meta, '$.relaySource.messageId') = ?
+  `).run(sourceMessageId).changes;
+}
+
+/**
+ * Copies of a relayed message that haven't been posted yet (still
+ * queued, or dead letters that could be replayed), in part order.
+ * An edit rewrites these, so they don't go out with the old text.
+ */
+function getUnsentDeliveriesForSource(sourceMessageId) {
+  return db.prepare(`
+    SELECT * FROM delivery_jobs
+    WHERE status IN ('pending', 'dead') AND json_extract(meta, '$.relaySource.messageId') = ?
+    ORDER BY guild_id, json_extract(meta, '$.partIndex'), id
+  `).all(sourceMessageId);
+}
+
+/**
+ * Stop one unsent job (an edit made the message shorter).
+ */
+function cancelDelivery(jobId) {
+  db.prepare(`UPDATE delivery_jobs SET status = 'cancelled', updated_at = datetime('now') WHERE id = ? AND status IN ('pending', 'dead')`).run(jobId);
+}
+
+/**
+ * Point every unfinished job at a replacement webhook
+ * (after the old one was deleted and self-healing made a new one).
+ */
+function retargetDeliveries(oldWebhookUrl, newWebhookUrl) {
+  return db.prepare(`UPDATE delivery_jobs SET webhook_url = ?, updated_at = datetime('now') WHERE webhook_url = ? AND status != 'done'`).run(newWebhookUrl, oldWebhookUrl).changes;
+}
+
+function updateDeliveryPayload(id, payload) {
+  db.prepare(`UPDATE delivery_jobs SET payload = ?, updated_at = datetime('now') WHERE id = ?`).run(JSON.stringify(payload), id);
+}
+
+function getDeadDeliveries(limit) {
+  return db.prepare(`SELECT * FROM delivery_jobs WHERE status = 'dead' ORDER BY id DESC LIMIT ?`).all(limit);
+}
+
+function countDeadDeliveries() {
+  return db.prepare(`SELECT COUNT(*) as cnt FROM delivery_jobs WHERE status = 'dead'`).get().cnt;
+}
+
+/**
+ * Put dead letters back in the queue with a fresh set of attempts.
+ * Pass a job ID to replay one, or nothing to replay them all.
+ * Cancelled jobs are never replayed (their source message is gone).
+ */
+function replayDeadDeliveries(jobId = null) {
+  const sql = `UPDATE delivery_jobs SET status = 'pending', attempts = 0, next_attempt_at = datetime('now'), updated_at = datetime('now') WHERE status = 'dead'`;
+  return jobId === null
+    ? db.prepare(sql).run().changes
+    : db.prepare(`${sql} AND id = ?`).run(jobId).changes;
+}
+
+/**
+ * Delete finished and cancelled jobs older than the given number of days.
+ * Dead letters are kept until someone replays them.
+ */
+function pruneDeliveries(days) {
+  return db.prepare(`DELETE FROM delivery_jobs WHERE status IN ('done', 'cancelled') AND updated_at <= datetime('now', ?)`).run(`-${days} days`).changes;
+}
+
+// =============================================================
+// EMOJI CACHE FUNCTIONS
+// =============================================================
+
+function getCachedEmoji(sourceEmojiId) {
+  return db.prepare('SELECT * FROM emoji_cache WHERE source_emoji_id = ?').get(sourceEmojiId);
+}
+
+function addCachedEmoji(sourceEmojiId, appEmojiId, name, animated) {
+  db.prepare(`INSERT OR REPLACE INTO emoji_cache (source_emoji_id, app_emoji_id, name, animated) VALUES (?, ?, ?, ?)`).run(sourceEmojiId, appEmojiId, name, animated ? 1 : 0);
+}
+
+function touchCachedEmoji(sourceEmojiId) {
+  db.prepare(`UPDATE emoji_cache SET last_used_at = datetime('now') WHERE source_emoji_id = ?`).run(sourceEmojiId);
+}
+
+function countCachedEmojis() {
+  return db.prepare('SELECT COUNT(*) as cnt FROM emoji_cache').get().cnt;
+}
+
+/**
+ * The least recently used cached emojis (to make room for new ones).
+ */
+function getStaleCachedEmojis(limit) {
+  return db.prepare('SELECT * FROM emoji_cache ORDER BY last_used_at ASC LIMIT ?').all(limit);
+}
+
+function removeCachedEmoji(sourceEmojiId) {
+  db.prepare('DELETE FROM emoji_cache WHERE source_emoji_id = ?').run(sourceEmojiId);
+}
+
+// =============================================================
+// POLL TALLY FUNCTIONS
+// =============================================================
+
+function getPollTally(sourceMessageId) {
+  return db.prepare('SELECT * FROM poll_tallies WHERE source_message_id = ?').get(sourceMessageId);
+}
+
+function setPollTally(sourceMessageId, channelId, messageId) {
+  db.prepare(`INSERT OR REPLACE INTO poll_tallies (source_message_id, channel_id, message_id) VALUES (?, ?, ?)`).run(sourceMessageId, channelId, messageId);
+}
+
 module.exports = {
-  initDatabase, getUser, addStrike, isUserSuspended, permanentBan, removeBan, getStrikeHistory,
+  initDatabase, getUser, addStrike, getEffectiveStrikeCount, getStrikeDecay, walkStrikeDecay, isUserSuspended, permanentBan, removeBan, liftBan, getStrikeHistory,
+  getStrike, overturnStrike,
+  createAppeal, getAppeal, findAppeal, deleteAppeal, setAppealQueueMessage, resolveAppeal,
+  addFilterWord, removeFilterWord, getFilterWord, getFilterWords,
   createLfgPost, addLfgPlayer, removeLfgPlayer, getLfgPlayers,
   addLfgMessage, getExpiredLfgPosts, getLfgMessages, markLfgExpired, getLfgPost,
   hasSeenArticle, markArticleSeen, countSeenArticles,
+  addRelayedMessage, getRelayedCopies, getRelayGroup, removeRelayedCopies, removeRelayedCopy, pruneRelayedMessages,
+  addRelayedThread, getThreadGroup, removeRelayedThread,
+  getSyncedPins, addSyncedPin, removeSyncedPin,
+  enqueueDelivery, getDelivery, getDueDeliveries, hasEarlierPendingDelivery, markDeliveryDone, scheduleDeliveryRetry,
+  cancelDeliveriesForSource, getUnsentDeliveriesForSource, cancelDelivery,
+  markDeliveryDead, retargetDeliveries, updateDeliveryPayload, getDeadDeliveries, countDeadDeliveries, replayDeadDeliveries, pruneDeliveries,
+  getCachedEmoji, addCachedEmoji, touchCachedEmoji, countCachedEmojis, getStaleCachedEmojis, removeCachedEmoji,
+  getPollTally, setPollTally,
 };
@@ -0,0 +1,426 @@
+// =============================================================
+// delivery.js - Durable outbound delivery queue
+// =============================================================
+// Every webhook send to every server is saved as a "job" in SQLite
+// BEFORE we try it. If Discord hiccups or rate-limits one server,
+// that server's job stays in the queue and gets retried later,
+// instead of the message silently going missing.
+//
+// Job lifecycle:
+//   pending → (send succeeds)          → done
+//   pending → (send fails, retry left) → pending, with a later retry time
+//   pending → (out of attempts)        → dead  (a "dead letter")
+//   pending/dead → (source message deleted) → cancelled
+//
+// Dead letters stay in the database until an admin replays them
+// with /pdh-deliveries replay.
+//
+// LEARNING NOTE ON EXPONENTIAL BACKOFF:
+// When something fails, retrying immediately usually fails again
+// (the server is still down, or we're still rate-limited). So we
+// wait longer after each failure: 5s, 10s, 20s, 40s... This is
+// called "exponential backoff". It gives the other side time to
+// recover without us hammering it. If Discord TELLS us how long to
+// wait (a 429 "retry after"), we just use that instead.
+// =============================================================
+
+const db = require('./database');
+const { env, getServerNetworks } = require('./config');
+const { scheduleWebhookTask, scheduleEdit, scheduleDelete } = require('./scheduler');
+const { replaceFilesWithLinks } = require('./modules/attachments');
+const { shapePayload } = require('./modules/shaping');
+
+// How often the worker checks for jobs that are due for a retry
+const WORKER_INTERVAL_MS = 5 * 1000;
+
+// How many due jobs to pick up per worker tick
+const WORKER_BATCH_SIZE = 25;
+
+// Backoff: first retry after 5s, doubling each time, capped at 10 minutes
+const BACKOFF_BASE_SECONDS = 5;
+const BACKOFF_MAX_SECONDS = 10 * 60;
+
+// HTTP statuses where retrying the exact same request can't help
+// (malformed payload, missing permissions, file too large)
+const PERMANENT_FAILURE_STATUSES = [400, 403, 413];
+
+// 413 Payload Too Large: the files didn't fit after all
+const TOO_LARGE_STATUS = 413;
+
+// Webhook errors that mean "this webhook is gone", not "try later":
+// 404 Unknown Webhook (deleted) and 401 Invalid Webhook Token (reset)
+const WEBHOOK_GONE_STATUSES = [404, 401];
+
+// If one channel's webhook needs repairing this many times within an
+// hour, something keeps deleting it — tell the owner
+const HEAL_ALERT_THRESHOLD = 3;
+const HEAL_ALERT_WINDOW_MS = 60 * 60 * 1000;
+
+let workerTimer = null;
+let discordClient = null;
+let getConfig = () => null;
+
+// channel ID → timestamps of recent repairs, for the owner alert
+const recentHeals = new Map();
+// alert key → when we last DMed the owner about it (once an hour max)
+const lastAlerts = new Map();
+
+// Job IDs currently being sent, so the worker and an immediate
+// attempt never send the same job twice at once
+const inFlight = new Set();
+
+/**
+ * Start the background retry worker.
+ *
+ * @param {Client} client - Discord.js client (for webhook repairs and owner alerts)
+ * @param {Function} configGetter - Returns the CURRENT bridge config.
+ *   A getter rather than the object itself, because index.js swaps in
+ *   a freshly loaded config after /pdh-setup.
+ */
+function startDeliveryWorker(client, configGetter) {
+  discordClient = client;
+  getConfig = configGetter;
+
+  const dead = db.countDeadDeliveries();
+  if (dead > 0) {
+    console.log(`[Delivery] ${dead} dead letter(s) waiting — see /pdh-deliveries list`);
+  }
+
+  // Pick up anything left pending from before a restart, then keep polling
+  processDueDeliveries();
+  workerTimer = setInterval(processDueDeliveries, WORKER_INTERVAL_MS);
+}
+
+/**
+ * Stop the retry worker (called when the bot shuts down).
+ * Pending jobs stay in the database and resume on next start.
+ */
+function stopDeliveryWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+/**
+ * Save a delivery job to the queue. Returns the job ID.
+ *
+ * @param {Object} job
+ * @param {string} job.channelType - "news", "lfg", or "discussion"
+ * @param {string} job.guildId - Target server
+ * @param {string} job.channelId - Target channel
+ * @param {string} job.webhookUrl - Webhook to send through
+ * @param {Object} job.payload - JSON-serializable webhook message
+ * @param {Object} job.meta - What to record on success:
+ *   relaySource: { messageId, guildId, channelId, channelType } → relay mapping
+ *   partIndex: number → which part of a split message this is (default 0)
+ *   threadSource: string → this send starts a forum post mirroring that thread
+ *   threadFromJob: number → post inside the forum post that job created
+ *   lfgPostId: number → lfg_messages tracking
+ */
+function enqueueDelivery(job) {
+  return db.enqueueDelivery(job);
+}
+
+/**
+ * Try a batch of freshly-queued jobs right away (so relays feel
+ * instant), in parallel. Failures stay queued for the worker.
+ * Returns the deliveries that succeeded on this first try.
+ */
+async function attemptDeliveries(jobIds) {
+  const results = await Promise.allSettled(
+    jobIds.map(jobId => attemptDelivery(db.getDelivery(jobId)))
+  );
+  return results
+    .filter(r => r.status === 'fulfilled' && r.value)
+    .map(r => r.value);
+}
+
+/**
+ * Worker tick: retry every pending job whose backoff has expired.
+ */
+async function processDueDeliveries() {
+  try {
+    const due = db.getDueDeliveries(WORKER_BATCH_SIZE).filter(job => !inFlight.has(job.id));
+    await Promise.allSettled(due.map(job => attemptDelivery(job)));
+  } catch (err) {
+    console.error('[Delivery] Worker error:', err.message);
+  }
+}
+
+/**
+ * Send one job. Returns { guildId, channelId, messageId } on success,
+ * or null if it failed (and was rescheduled or dead-lettered).
+ * `healed` is set on the retry after a webhook repair, so a webhook
+ * that breaks again immediately can't send us round in circles.
+ */
+async function attemptDelivery(job, healed = false) {
+  if (!job || job.status !== 'pending' || inFlight.has(job.id)) return null;
+  inFlight.add(job.id);
+
+  // Required here rather than at the top because bridge.js requires
+  // this file too — Node can't resolve a circular require at load time.
+  const { getWebhookClient } = require('./bridge');
+
+  try {
+    const webhook = getWebhookClient(job.webhook_url);
+    let payload;
+
+    // Sends go through the webhook's lane (see scheduler.js), so they
+    // leave in the order they were queued. The check runs INSIDE the
+    // lane, after everything queued before us has finished: if an
+    // earlier message to this channel failed and is waiting to retry,
+    // we hold back too, so the two can't arrive swapped.
+    // It's marked done inside the lane too, so the next job sees it.
+    // The payload is read inside the lane too, so an edit made while
+    // the job waited is what goes out (see editRelayedCopies in bridge.js)
+    let cancelledWhileSending = false;
+    let editedWhileSending = null;
+    const sent = await scheduleWebhookTask(job.webhook_url, async () => {
+      // The source message may have been deleted while this job waited its turn
+      const current = db.getDelivery(job.id);
+      if (current?.status !== 'pending') return null;
+      if (db.hasEarlierPendingDelivery(job.webhook_url, job.id)) return null;
+      payload = JSON.parse(current.payload);
+      // Later parts of a mirrored forum post go inside the post that
+      // the first part created (a forum post's ID is its first message's ID)
+      const meta = JSON.parse(job.meta || '{}');
+      if (meta.threadFromJob) payload.threadId = db.getDelivery(meta.threadFromJob)?.message_id;
+      const message = await webhook.send(payload);
+      const latest = db.getDelivery(job.id).payload;
+      if (latest !== current.payload) editedWhileSending = JSON.parse(latest);
+      cancelledWhileSending = !db.markDeliveryDone(job.id, message.id);
+      return message;
+    });
+    if (!sent) return null; // Deferred or cancelled
+    
+    // Deleted at the source while this copy was on its way: take it straight back down
+    if (cancelledWhileSending) {
+      const threadId = sent.channel_id !== job.channel_id ? sent.channel_id : null;
+      await scheduleDelete(job.webhook_url, webhook, sent.id, threadId).catch(() => {});
+      return null;
+    }
+
+    await recordDelivery(job, sent);
+
+    // Edited at the source while this copy was on its way: bring it up to date
+    if (editedWhileSending) {
+      const { files, poll, threadName, appliedTags, username, avatarURL, ...text } = editedWhileSending;
+      const threadId = sent.channel_id !== job.channel_id ? sent.channel_id : undefined;
+      await scheduleEdit(job.webhook_url, webhook, sent.id, { ...text, embeds: text.embeds || [], content: text.content || '', threadId })
+        .catch(err => console.error(`[Delivery] Couldn't update job #${job.id} after an edit:`, err.message));
+    }
+
+    return { guildId: job.guild_id, channelId: sent.channel_id, messageId: sent.id };
+  } catch (err) {
+    // Webhook deleted or reset: repair it and go again straight away
+    if (WEBHOOK_GONE_STATUSES.includes(err.status) && !healed) {
+      const newUrl = await repairWebhook(job);
+      if (newUrl) {
+        inFlight.delete(job.id);
+        return attemptDelivery(db.getDelivery(job.id), true);
+      }
+    }
+
+    // Files too big for this server after all: send links instead,
+    // so the message itself still gets through
+    if (err.status === TOO_LARGE_STATUS) {
+      const withLinks = replaceFilesWithLinks(JSON.parse(db.getDelivery(job.id).payload));
+      if (withLinks) {
+        queueLinkParts(job, withLinks);
+        inFlight.delete(job.id);
+        return attemptDelivery(db.getDelivery(job.id), healed);
+      }
+    }
+    
+    const maxAttempts = getConfig()?.settings.deliveryMaxAttempts || 5;
+    const attempts = job.attempts + 1;
+    const message = err.message || String(err);
+
+    if (attempts >= maxAttempts || PERMANENT_FAILURE_STATUSES.includes(err.status)) {
+      db.markDeliveryDead(job.id, attempts, message);
+      console.error(`[Delivery] Job #${job.id} to guild ${job.guild_id} is now a dead letter after ${attempts} attempt(s): ${message}`);
+    } else {
+      const delay = getRetryDelaySeconds(err, attempts);
+      db.scheduleDeliveryRetry(job.id, attempts, delay, message);
+      console.error(`[Delivery] Job #${job.id} to guild ${job.guild_id} failed (attempt ${attempts}/${maxAttempts}), retrying in ${delay}s: ${message}`);
+    }
+    return null;
+  } finally {
+    inFlight.delete(job.id);
+  }
+}
+
+/**
+ * Self-heal a dead webhook for a failed job (see healWebhook in
+ * bridge.js), then move every queued job over to the new webhook.
+ * Alerts the owner if the repair fails or keeps being needed.
+ */
+async function repairWebhook(job) {
+  const config = getConfig();
+  if (!discordClient || !config) return null;
+
+  // Already repaired for an earlier job: this one was loaded before it
+  // was moved to the new webhook, or queued with the old URL. Go again
+  // with the new one, without repairing (or counting) anything.
+  const replacement = [db.getDelivery(job.id)?.webhook_url, getMappedWebhookUrl(config, job)]
+    .find(url => url && url !== job.webhook_url);
+  if (replacement) {
+    db.retargetDeliveries(job.webhook_url, replacement);
+    return replacement;
+  }
+
+  const { healWebhook } = require('./bridge');
+  const serverName = config.servers[job.guild_id]?.name || job.guild_id;
+  const newUrl = await healWebhook(discordClient, config, {
+    guildId: job.guild_id,
+    channelId: job.channel_id,
+    channelType: job.channel_type,
+    webhookUrl: job.webhook_url,
+  }).catch(() => null);
+
+  if (!newUrl) {
+    // healWebhook returns null for a repair that another job already
+    // finished — in that case this job has been retargeted already
+    const current = db.getDelivery(job.id);
+    if (current && current.webhook_url !== job.webhook_url) return current.webhook_url;
+
+    await alertOwner(`heal-failed:${job.channel_id}`,
+      `⚠️ **PDH Bridge:** the ${job.channel_type} webhook on **${serverName}** is broken and couldn't be repaired ` +
+      `(missing Manage Webhooks permission, or the channel is gone?). Deliveries there will keep failing until it's fixed.`);
+    return null;
+  }
+
+  db.retargetDeliveries(job.webhook_url, newUrl);
+
+  // Track how often this channel needs repairing
+  const now = Date.now();
+  const heals = (recentHeals.get(job.channel_id) || []).filter(t => now - t < HEAL_ALERT_WINDOW_MS);
+  heals.push(now);
+  recentHeals.set(job.channel_id, heals);
+  if (heals.length >= HEAL_ALERT_THRESHOLD) {
+    await alertOwner(`heal-repeated:${job.channel_id}`,
+      `⚠️ **PDH Bridge:** the ${job.channel_type} webhook on **${serverName}** has been deleted and recreated ` +
+      `${heals.length} times in the last hour. Someone (or another bot) may be removing it.`);
+  }
+
+  return newUrl;
+}
+
+/**
+ * Swap a job's payload for its files-as-links version. The links can
+ * push the text past Discord's length limit, so it's shaped again:
+ * this job keeps the first part, and any overflow is queued as extra
+ * parts right behind it (the lane sends them after this job).
+ */
+function queueLinkParts(job, withLinks) {
+  const [first, ...rest] = shapePayload(withLinks);
+  db.updateDeliveryPayload(job.id, first);
+
+  const meta = JSON.parse(job.meta || '{}');
+  rest.forEach((part, i) => {
+    const { threadSource, ...partMeta } = meta;
+    partMeta.partIndex = (meta.partIndex || 0) + i + 1;
+    // A forum post is created by this job; the overflow goes inside it
+    if (threadSource) {
+      partMeta.threadFromJob = job.id;
+      delete part.threadName;
+      delete part.appliedTags;
+    }
+    db.enqueueDelivery({
+      channelType: job.channel_type,
+      guildId: job.guild_id,
+      channelId: job.channel_id,
+      webhookUrl: job.webhook_url,
+      payload: part,
+      meta: partMeta,
+    });
+  });
+}
+
+/**
+ * The webhook the config currently has for a job's channel, if any.
+ */
+function getMappedWebhookUrl(config, job) {
+  const server = config.servers[job.guild_id];
+  const mapping = server && getServerNetworks(config, server)
+    .map(([, m]) => m)
+    .find(m => m.channels[job.channel_type] === job.channel_id);
+  return mapping?.webhooks?.[job.channel_type] || null;
+}
+
+/**
+ * DM the bot owner about a delivery problem — at most once an hour
+ * per problem, so a flapping webhook doesn't flood their DMs.
+ */
+async function alertOwner(key, text) {
+  const last = lastAlerts.get(key) || 0;
+  if (!env.ownerId || !discordClient || Date.now() - last < HEAL_ALERT_WINDOW_MS) return;
+  lastAlerts.set(key, Date.now());
+
+  try {
+    const owner = await discordClient.users.fetch(env.ownerId);
+    await owner.send(text);
+  } catch (err) {
+    console.error('[Delivery] Couldn\'t DM the owner:', err.message);
+  }
+}
+
+/**
+ * How long to wait before the next attempt.
+ * A rate limit tells us exactly how long (retryAfter, in ms);
+ * anything else gets exponential backoff.
+ */
+function getRetryDelaySeconds(err, attempts) {
+  if (err.retryAfter) {
+    return Math.ceil(err.retryAfter / 1000);
+  }
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * After a successful send, write down where the message ended up.
+ * Doing this here (not in the caller) means late retries get
+ * tracked too, and failed sends never get tracked at all.
+ */
+async function recordDelivery(job, sent) {
+  const meta = JSON.parse(job.meta || '{}');
+  const messageId = sent.id;
+  // Sends into a thread (or that start a forum post) land in the
+  // thread rather than the channel the webhook belongs to
+  const threadId = sent.channel_id !== job.channel_id ? sent.channel_id : null;
+
+  if (meta.threadSource && threadId) {
+    db.addRelayedThread(meta.threadSource, { guildId: job.guild_id, channelId: job.channel_id, threadId });
+  }
+
+  if (meta.relaySource) {
+    db.addRelayedMessage(meta.relaySource, {
+      guildId: job.guild_id,
+      channelId: threadId || job.channel_id,
+      messageId,
+      webhookUrl: job.webhook_url,
+      partIndex: meta.partIndex,
+      threadId,
+    });
+  }
+
+  if (meta.lfgPostId) {
+    // A retry can land after the post was cancelled or expired —
+    // in that case take the stray copy straight back down.
+    if (!db.getLfgPost(meta.lfgPostId)) {
+      const { getWebhookClient } = require('./bridge');
+      await scheduleDelete(job.webhook_url, getWebhookClient(job.webhook_url), messageId).catch(() => {});
+      return;
+    }
+    db.addLfgMessage(meta.lfgPostId, job.guild_id, job.channel_id, messageId);
+  }
+}
+
+module.exports = {
+  startDeliveryWorker,
+  stopDeliveryWorker,
+  enqueueDelivery,
+  attemptDeliveries,
+  processDueDeliveries,
+};
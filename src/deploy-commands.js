@@ -7,6 +7,28 @@
 
 require('dotenv').config();
 const { REST, Routes, SlashCommandBuilder, ChannelType } = require('discord.js');
+const { loadConfig } = require('./config');
+
+// Channel types come from the registry in bridge-config.json, so a
+// newly added type shows up in /pdh-setup after re-running this script.
+// (Discord allows at most 25 choices per option.)
+const bridgeConfig = loadConfig();
+const channelTypeChoices = Object.entries(bridgeConfig.channelTypes)
+  .map(([value, type]) => ({ name: type.label, value }))
+  .slice(0, 25);
+// Same for networks (see config.js)
+const networkChoices = Object.entries(bridgeConfig.networks)
+  .map(([value, network]) => ({ name: network.name || value, value }))
+  .slice(0, 25);
+// Used by both /pdh-filter add and remove
+const filterListChoices = [
+  { name: 'Block', value: 'block' },
+  { name: 'Allow (whole bridge only)', value: 'allow' },
+];
+const filterScopeChoices = [
+  { name: 'This server only', value: 'local' },
+  { name: 'Whole bridge (owner only)', value: 'network' },
+];
 
 const commands = [
   // /lfg - Create a Looking For Game post
@@ -22,7 +44,11 @@ const commands = [
     .addChannelOption(opt => opt.setName('lfg-channel').setDescription('Channel for LFG posts').addChannelTypes(ChannelType.GuildText))
     .addChannelOption(opt => opt.setName('discussion-channel').setDescription('Channel for cross-server discussion').addChannelTypes(ChannelType.GuildText))
     .addRoleOption(opt => opt.setName('news-role').setDescription('Role to ping for news (e.g., @news)'))
-    .addRoleOption(opt => opt.setName('lfg-role').setDescription('Role to ping for LFG (e.g., @lfg)')),
+    .addRoleOption(opt => opt.setName('lfg-role').setDescription('Role to ping for LFG (e.g., @lfg)'))
+    .addStringOption(opt => opt.setName('type').setDescription('Set up any other bridged channel type (e.g., trades)').addChoices(...channelTypeChoices))
+    .addChannelOption(opt => opt.setName('channel').setDescription('Channel for the type picked above').addChannelTypes(ChannelType.GuildText, ChannelType.GuildForum))
+    .addRoleOption(opt => opt.setName('role').setDescription('Role to ping for the type picked above'))
+    .addStringOption(opt => opt.setName('network').setDescription('Which bridge network these channels join (default: main)').addChoices(...networkChoices)),
   
   // /pdh-ban
   new SlashCommandBuilder()
@@ -47,13 +73,33 @@ const commands = [
   new SlashCommandBuilder()
     .setName('pdh-config')
     .setDescription('Change bridge settings (Admin only)')
-    .addStringOption(opt => opt
-      .setName('setting').setDescription('Which setting to change').setRequired(true)
-      .addChoices(
-        { name: 'Link filtering (on/off)', value: 'links' },
-        { name: 'LFG expiry time (minutes)', value: 'lfg-expiry' },
-      ))
-    .addStringOption(opt => opt.setName('value').setDescription('New value').setRequired(true)),
+    .addSubcommand(sub => sub
+      .setName('set').setDescription('Change one setting')
+      .addStringOption(opt => opt
+        .setName('setting').setDescription('Which setting to change').setRequired(true)
+        .addChoices(
+          { name: 'Link filtering (on/off)', value: 'links' },
+          { name: 'LFG expiry time (minutes)', value: 'lfg-expiry' },
+          { name: 'Slow mode per user, e.g. 10/60 (messages/seconds, or off, Owner only)', value: 'flood-limit' },
+          { name: 'Slow mode burst (messages in a row, Owner only)', value: 'flood-burst' },
+          { name: 'Slow mode strikes (blocked messages per strike, 0 = never, Owner only)', value: 'flood-strikes' },
+          { name: 'Reaction sync for this server (on/off)', value: 'reaction-sync' },
+          { name: 'Real mentions for this server (on/off)', value: 'real-mentions' },
+          { name: 'Pin sync for this server (off/receive/trusted)', value: 'pin-sync' },
+          { name: 'Origin attribution (off/tag/badge/both)', value: 'attribution' },
+          { name: 'This server\'s tag, e.g. cPDH ("none" to clear)', value: 'server-tag' },
+          { name: 'This server\'s emoji badge ("none" to clear)', value: 'server-badge' },
+          { name: 'Appeals queue (here/off, Owner only)', value: 'appeals-channel' },
+        ))
+      .addStringOption(opt => opt.setName('value').setDescription('New value').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('strike-ladder').setDescription('View what each strike costs, or change it (Owner only)')
+      .addStringOption(opt => opt
+        .setName('steps').setDescription('In order, comma-separated, e.g. warning, 3d, 2w, permanent'))
+      .addIntegerOption(opt => opt
+        .setName('ban-at').setDescription('Ban permanently at this strike (0 = never)').setMinValue(0).setMaxValue(100))
+      .addIntegerOption(opt => opt
+        .setName('decay-days').setDescription('Forgive one strike per this many clean days (0 = never)').setMinValue(0).setMaxValue(3650))),
   
   // /pdh-status
   new SlashCommandBuilder()
@@ -70,6 +116,60 @@ const commands = [
         { name: 'LFG (this server only)', value: 'lfg' },
         { name: 'LFG (ALL servers)', value: 'lfg-all' },
       )),
+  
+  // /pdh-deliveries - Inspect and replay failed deliveries
+  new SlashCommandBuilder()
+    .setName('pdh-deliveries')
+    .setDescription('Inspect and replay failed cross-server deliveries (Admin only)')
+    .addSubcommand(sub => sub
+      .setName('list').setDescription('Show deliveries that ran out of retries'))
+    .addSubcommand(sub => sub
+      .setName('replay').setDescription('Retry dead deliveries')
+      .addIntegerOption(opt => opt.setName('id').setDescription('Job ID to replay (leave empty to replay all)'))),
+  
+  // /pdh-direction - One-way (send-only / receive-only) channels
+  new SlashCommandBuilder()
+    .setName('pdh-direction')
+    .setDescription('Make a bridged channel send-only, receive-only, or both (Admin only)')
+    .addStringOption(opt => opt.setName('type').setDescription('Which bridged channel').setRequired(true).addChoices(...channelTypeChoices))
+    .addStringOption(opt => opt
+      .setName('direction').setDescription('Which way messages flow').setRequired(true)
+      .addChoices(
+        { name: 'Both ways (default)', value: 'both' },
+        { name: 'Send only (receive nothing)', value: 'send' },
+        { name: 'Receive only (posts stay local)', value: 'receive' },
+      ))
+    .addStringOption(opt => opt.setName('network').setDescription('Which bridge network (default: main)').addChoices(...networkChoices)),
+  
+  // /pdh-modlog - Moderation log channel
+  new SlashCommandBuilder()
+    .setName('pdh-modlog')
+    .setDescription('Post moderation actions in this channel (Admin only)')
+    .addStringOption(opt => opt
+      .setName('scope').setDescription('Which actions to log').setRequired(true)
+      .addChoices(
+        { name: 'Whole bridge', value: 'network' },
+        { name: 'This server only', value: 'local' },
+        { name: 'Off', value: 'off' },
+      )),
+  
+  // /pdh-filter - Custom profanity filter terms
+  new SlashCommandBuilder()
+    .setName('pdh-filter')
+    .setDescription('Manage custom blocked and allowed words (Admin only)')
+    .addSubcommand(sub => sub
+      .setName('add').setDescription('Block (or allow) a word')
+      .addStringOption(opt => opt.setName('term').setDescription('The word').setRequired(true).setMaxLength(50))
+      .addStringOption(opt => opt.setName('list').setDescription('Block or allow it (default: block)').addChoices(...filterListChoices))
+      .addStringOption(opt => opt.setName('scope').setDescription('Where it applies (default: this server)').addChoices(...filterScopeChoices))
+      .addStringOption(opt => opt.setName('reason').setDescription('Why, for other moderators').setMaxLength(200)))
+    .addSubcommand(sub => sub
+      .setName('remove').setDescription('Remove a custom word')
+      .addStringOption(opt => opt.setName('term').setDescription('The word').setRequired(true).setMaxLength(50))
+      .addStringOption(opt => opt.setName('list').setDescription('Which list (default: block)').addChoices(...filterListChoices))
+      .addStringOption(opt => opt.setName('scope').setDescription('Which scope (default: this server)').addChoices(...filterScopeChoices)))
+    .addSubcommand(sub => sub
+      .setName('list').setDescription('Show the custom words for the bridge and this server')),
 ];
 
 async function deploy() {
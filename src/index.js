@@ -11,20 +11,37 @@ const {
   GatewayIntentBits,
   Partials,
   Events,
+  PermissionFlagsBits,
 } = require('discord.js');
 
-const { loadConfig, identifyChannel, env } = require('./config');
-const { initDatabase } = require('./database');
-const { relayMessage, ensureWebhook } = require('./bridge');
-const { moderateMessage } = require('./modules/moderation');
+const {
+  loadConfig, identifyChannel, getChannelType, getNetworkSettings, getServerNetworks, MAIN_NETWORK, env,
+} = require('./config');
+const {
+  initDatabase, getRelayedCopies, getUnsentDeliveriesForSource, pruneRelayedMessages, pruneDeliveries, removeRelayedThread,
+} = require('./database');
+const { startDeliveryWorker, stopDeliveryWorker } = require('./delivery');
+const {
+  relayMessage, relayExternalMessage, editRelayedCopies, deleteRelayedCopies, ensureWebhook,
+} = require('./bridge');
+const { startAdapters, stopAdapters } = require('./adapters');
+const { moderateMessage, moderateExternalMessage, cleanContent, loadFilterWords } = require('./modules/moderation');
 const { startRssPolling, stopRssPolling } = require('./modules/news');
+const { handleReactionChange, refreshReactionTotals } = require('./modules/reactions');
+const { handlePollVote } = require('./modules/polls');
+const { mirrorThread, getBridgeChannelId } = require('./modules/threads');
+const { handlePinsUpdate } = require('./modules/pins');
+const { checkFloodLimit, checkExternalFloodLimit } = require('./modules/floodcontrol');
+const { handleAppealButton, handleAppealModalSubmit, handleAppealDecision } = require('./modules/appeals');
+const { startModLog } = require('./modules/modlog');
 const {
   handleLfgCommand, handleTypeSelection, handleLfgModalSubmit,
   handleLfgButton, cleanupExpiredPosts,
 } = require('./modules/lfg');
 const {
   handleBan, handleUnban, handleStrikes, handleConfig,
-  handleSetup, handleStatus, handlePin,
+  handleSetup, handleStatus, handlePin, handleDeliveries, handleDirection, handleModLog,
+  handleFilter,
 } = require('./modules/commands');
 
 // =============================================================
@@ -37,8 +54,10 @@ const client = new Client({
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildMessageReactions, // For cross-server reaction totals
+    GatewayIntentBits.GuildMessagePolls,     // For network-wide poll results
   ],
-  partials: [Partials.Message, Partials.Channel],
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User],
 });
 
 // =============================================================
@@ -47,6 +66,7 @@ const client = new Client({
 
 let bridgeConfig = loadConfig();
 initDatabase();
+loadFilterWords();
 
 // =============================================================
 // Bot startup
@@ -61,59 +81,289 @@ client.once(Events.ClientReady, async (readyClient) => {
   console.log('═══════════════════════════════════════════');
   
   await verifyWebhooks(readyClient);
+  startDeliveryWorker(readyClient, () => bridgeConfig);
+  startModLog(readyClient, () => bridgeConfig);
   startRssPolling(bridgeConfig, readyClient);
+  startAdapters(bridgeConfig, handleExternalMessage);
   
   // LFG cleanup timer — checks every 60 seconds for expired posts
   setInterval(() => cleanupExpiredPosts(readyClient), 60 * 1000);
   
+  // Daily housekeeping — forget relay copies older than 30 days and
+  // finished delivery jobs older than 7 (dead letters are kept)
+  setInterval(() => {
+    pruneRelayedMessages(30);
+    pruneDeliveries(7);
+  }, 24 * 60 * 60 * 1000);
+  
   console.log('[Bot] All systems ready!');
 });
 
 // =============================================================
-// Message handler (Discussion + News relay)
+// Message handler (relay for every registered channel type)
 // =============================================================
+// What happens to a message depends on its channel type's entry in
+// the registry (see config.js): who may post, whether it's moderated,
+// whether a role gets pinged. See applyChannelRules below.
+// Messages in threads follow the rules of the thread's parent channel.
 
 client.on(Events.MessageCreate, async (message) => {
   // Ignore bots and webhooks to prevent infinite relay loops
   if (message.author.bot) return;
   if (message.webhookId) return;
   
-  const channelInfo = identifyChannel(bridgeConfig, message.guild?.id, message.channel?.id);
+  const channelInfo = identifyChannel(bridgeConfig, message.guild?.id, getBridgeChannelId(message.channel));
   if (!channelInfo) return;
   
+  // Posts in a receive-only channel stay on this server, so the
+  // bridge's rules (and strikes) don't apply to them
+  if (channelInfo.direction === 'receive') return;
+  
   const { channelType } = channelInfo;
+  const result = await applyChannelRules(message, channelInfo);
+  if (!result.allowed) return;
   
-  // --- NEWS: Only the bot owner can post ---
-  if (channelType === 'news') {
-    if (message.author.id !== env.ownerId) return;
-    await relayMessage(bridgeConfig, message, 'news', { pingRole: true });
-    return;
+  // Bridge-wide slow mode: over the limit, the message stays local
+  if (getChannelType(bridgeConfig, channelType).floodControl) {
+    const settings = getNetworkSettings(bridgeConfig, channelInfo.network);
+    if (!await checkFloodLimit(message, channelInfo, settings)) return;
   }
   
-  // --- LFG: Owner can post messages (for explanations, announcements) ---
-  // Regular users can't type here (channel permissions block them).
-  // The bot owner CAN post (useful for pinned explanations, announcements).
-  // These owner messages get relayed so they appear on all servers.
-  if (channelType === 'lfg') {
-    if (message.author.id === env.ownerId) {
-      // Relay owner's LFG channel message to all other servers
-      await relayMessage(bridgeConfig, message, 'lfg');
+  await relayMessage(bridgeConfig, message, channelType, result.options);
+});
+
+// =============================================================
+// Edit handler (keeps relayed copies in sync with the original)
+// =============================================================
+// LEARNING NOTE: Discord also fires MessageUpdate when it adds a
+// link preview to a message, so we only act when the text itself
+// changed. If the old version wasn't cached (a "partial"), we can't
+// compare, so we just re-sync to be safe.
+
+client.on(Events.MessageUpdate, async (oldMessage, newMessage) => {
+  try {
+    if (newMessage.partial) newMessage = await newMessage.fetch();
+  } catch (err) {
+    return; // Message was deleted before we could fetch it
+  }
+  
+  if (newMessage.author.bot) return;
+  if (newMessage.webhookId) return;
+  if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+  
+  const channelInfo = identifyChannel(bridgeConfig, newMessage.guild?.id, getBridgeChannelId(newMessage.channel));
+  if (!channelInfo) return;
+  
+  // Nothing to update if this message was never relayed (copies still
+  // in the delivery queue count: they're rewritten there)
+  if (getRelayedCopies(newMessage.id).length === 0 && getUnsentDeliveriesForSource(newMessage.id).length === 0) return;
+  
+  const { channelType } = channelInfo;
+  
+  // Edits go through the same rules (and moderation) as new posts.
+  // If the new text trips the filter, moderateMessage strikes the user
+  // and deletes the original, and we pull the copies off every server.
+  // A term only this server blocks pulls the copies too, without a strike.
+  const result = await applyChannelRules(newMessage, channelInfo);
+  if (!result.allowed) {
+    if (result.reason === 'profanity' || result.reason === 'local_filter') {
+      await deleteRelayedCopies(client, newMessage.id);
     }
     return;
   }
   
-  // --- DISCUSSION: Relay with moderation ---
-  if (channelType === 'discussion') {
-    const result = await moderateMessage(
-      message, channelType, bridgeConfig.settings.filterLinks
-    );
-    if (!result.allowed) return;
-    await relayMessage(bridgeConfig, message, 'discussion', {
-      contentOverride: result.cleanedContent,
-    });
+  await editRelayedCopies(bridgeConfig, newMessage, channelType, result.options);
+  // The edit replaced the copies' text, including any reaction footer
+  refreshReactionTotals(client, bridgeConfig, newMessage.id);
+});
+
+/**
+ * Check a message against its channel type's rules and work out how
+ * to relay it. Returns { allowed: true, options } with the options
+ * for relayMessage, or { allowed: false, reason } if it stays local.
+ *
+ * @param {Object} channelInfo - { channelType, network } from identifyChannel
+ */
+async function applyChannelRules(message, { channelType, network }) {
+  const typeConfig = getChannelType(bridgeConfig, channelType);
+  const settings = getNetworkSettings(bridgeConfig, network);
+  if (!typeConfig) return { allowed: false, reason: 'unknown_type' };
+  
+  // --- Who may post? ---
+  // News and LFG are owner-only: regular users can't type there (channel
+  // permissions block them), but the owner's announcements get relayed.
+  if (!canPostIn(message, typeConfig)) return { allowed: false, reason: 'not_allowed' };
+  
+  const rules = {
+    filterLinks: typeConfig.stripLinks || (typeConfig.moderated && settings.filterLinks),
+    stripMentions: typeConfig.stripMentions,
+  };
+  const options = { pingRole: typeConfig.pingRole, network };
+  
+  // --- Moderated types: profanity filter + strikes + cleanup ---
+  if (typeConfig.moderated) {
+    const result = await moderateMessage(message, channelType, rules, settings, network);
+    if (!result.allowed) return result;
+    options.contentOverride = result.cleanedContent;
+    return { allowed: true, options };
+  }
+  
+  // --- Unmoderated types: only clean up if the type asks for it ---
+  if (rules.filterLinks || rules.stripMentions) {
+    options.contentOverride = await cleanContent(message.content, message.guild, rules);
+  }
+  return { allowed: true, options };
+}
+
+/**
+ * A message from a room on another chat platform (see adapters/index.js).
+ * It gets the same treatment as a Discord post in that channel type:
+ * moderated types run the profanity filter and strikes, and the
+ * type's cleanup rules apply, before it's relayed.
+ */
+async function handleExternalMessage(endpoint, inbound) {
+  try {
+    // A receive-only endpoint just listens
+    if (endpoint.direction === 'receive') return;
+    
+    const network = endpoint.network || MAIN_NETWORK;
+    const typeConfig = getChannelType(bridgeConfig, endpoint.channelType);
+    if (!typeConfig) return;
+    
+    // Owner-only types (news, LFG) can't be posted to from outside
+    // Discord, and forum posts need a title other platforms don't have
+    if (typeConfig.posters !== 'everyone' || typeConfig.forum) return;
+    
+    const settings = getNetworkSettings(bridgeConfig, network);
+    const rules = {
+      filterLinks: typeConfig.stripLinks || (typeConfig.moderated && settings.filterLinks),
+      stripMentions: typeConfig.stripMentions,
+    };
+    
+    let content = inbound.content;
+    if (typeConfig.moderated) {
+      const result = await moderateExternalMessage(inbound, endpoint.channelType, endpoint.id, rules, settings, network);
+      if (!result.allowed) return;
+      content = result.cleanedContent;
+    } else {
+      content = await cleanContent(content, null, rules);
+    }
+    
+    // Same slow mode as Discord posts, keyed on the platform user
+    if (typeConfig.floodControl && !await checkExternalFloodLimit(inbound, endpoint, network, settings)) return;
+    
+    await relayExternalMessage(bridgeConfig, endpoint, inbound, content);
+  } catch (err) {
+    console.error(`[Bot] Error relaying message from endpoint ${endpoint.id}:`, err);
+  }
+}
+
+/**
+ * Does this author match the channel type's "posters" setting?
+ * The bot owner can always post.
+ */
+function canPostIn(message, typeConfig) {
+  if (message.author.id === env.ownerId) return true;
+  switch (typeConfig.posters) {
+    case 'everyone': return true;
+    case 'admins': return !!message.member?.permissions.has(PermissionFlagsBits.Administrator);
+    default: return false; // 'owner' (or anything unrecognised)
+  }
+}
+
+// =============================================================
+// Delete handlers (pull relayed copies off every server)
+// =============================================================
+// Covers both users deleting their own messages and local moderators
+// removing them. Deleted messages usually arrive as partials, but the
+// ID, guild and channel are always present — that's all we need.
+
+client.on(Events.MessageDelete, async (message) => {
+  if (message.webhookId) return;
+  const channelId = getBridgeChannelId(message.channel) ?? message.channelId;
+  if (!identifyChannel(bridgeConfig, message.guildId, channelId)) return;
+  
+  await deleteRelayedCopies(client, message.id);
+});
+
+// Purge commands and bot cleanups delete a whole batch at once
+client.on(Events.MessageBulkDelete, async (messages, channel) => {
+  if (!identifyChannel(bridgeConfig, channel.guildId, getBridgeChannelId(channel))) return;
+  
+  let removed = 0;
+  for (const messageId of messages.keys()) {
+    removed += await deleteRelayedCopies(client, messageId);
+  }
+  if (removed > 0) {
+    console.log(`[Bridge] Bulk delete in #${channel.name}: withdrew ${removed} relayed cop${removed === 1 ? 'y' : 'ies'}`);
   }
 });
 
+// =============================================================
+// Thread handlers (mirror threads and forum posts)
+// =============================================================
+// A thread started on a bridged message gets a twin on every other
+// server; see modules/threads.js. Forum posts are mirrored when their
+// first message is relayed, through the normal message handler.
+
+client.on(Events.ThreadCreate, async (thread, newlyCreated) => {
+  if (!newlyCreated) return;
+  await mirrorThread(bridgeConfig, thread).catch(err => {
+    console.error(`[Threads] Failed to handle new thread "${thread.name}":`, err.message);
+  });
+});
+
+client.on(Events.ThreadDelete, (thread) => {
+  removeRelayedThread(thread.id);
+});
+
+// =============================================================
+// Pin handler (opt-in pin sync from trusted servers)
+// =============================================================
+
+client.on(Events.ChannelPinsUpdate, async (channel) => {
+  if (!channel.guildId) return;
+  await handlePinsUpdate(bridgeConfig, channel).catch(err => {
+    console.error(`[Pins] Pin sync failed in #${channel.name}:`, err.message);
+  });
+});
+
+// =============================================================
+// Reaction handlers (opt-in cross-server totals)
+// =============================================================
+// Every kind of reaction change just triggers a recount — see
+// modules/reactions.js for how totals are added up and displayed.
+
+client.on(Events.MessageReactionAdd, (reaction) => {
+  handleReactionChange(client, bridgeConfig, reaction.message);
+});
+
+client.on(Events.MessageReactionRemove, (reaction) => {
+  handleReactionChange(client, bridgeConfig, reaction.message);
+});
+
+client.on(Events.MessageReactionRemoveAll, (message) => {
+  handleReactionChange(client, bridgeConfig, message);
+});
+
+client.on(Events.MessageReactionRemoveEmoji, (reaction) => {
+  handleReactionChange(client, bridgeConfig, reaction.message);
+});
+
+// =============================================================
+// Poll vote handlers (network-wide results for relayed polls)
+// =============================================================
+// See modules/polls.js — votes on any copy update the results
+// reply under the original poll.
+
+client.on(Events.MessagePollVoteAdd, (answer) => {
+  handlePollVote(client, answer.poll.message);
+});
+
+client.on(Events.MessagePollVoteRemove, (answer) => {
+  handlePollVote(client, answer.poll.message);
+});
+
 // =============================================================
 // Interaction handler (Slash commands, buttons, modals)
 // =============================================================
@@ -137,7 +387,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
           await handleUnban(interaction);
           break;
         case 'pdh-strikes':
-          await handleStrikes(interaction);
+          await handleStrikes(interaction, bridgeConfig);
           break;
         case 'pdh-config':
           await handleConfig(interaction, bridgeConfig);
@@ -148,6 +398,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
         case 'pdh-pin':
           await handlePin(interaction, bridgeConfig);
           break;
+        case 'pdh-deliveries':
+          await handleDeliveries(interaction, bridgeConfig);
+          break;
+        case 'pdh-direction':
+          await handleDirection(interaction, bridgeConfig);
+          break;
+        case 'pdh-modlog':
+          await handleModLog(interaction, bridgeConfig);
+          break;
+        case 'pdh-filter':
+          await handleFilter(interaction);
+          break;
       }
     }
     
@@ -157,6 +419,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
       if (interaction.customId.startsWith('lfg_modal_')) {
         await handleLfgModalSubmit(interaction, bridgeConfig);
       }
+      // Appeal explanation: "appeal_modal_42" or "appeal_modal_ban"
+      if (interaction.customId.startsWith('appeal_modal_')) {
+        await handleAppealModalSubmit(interaction, bridgeConfig);
+      }
     }
     
     // --- BUTTON CLICKS ---
@@ -174,6 +440,19 @@ client.on(Events.InteractionCreate, async (interaction) => {
         await handleLfgButton(interaction, bridgeConfig, client);
         return;
       }
+      
+      // Appeal button in a strike/ban DM: "appeal_open_42", "appeal_open_ban"
+      if (interaction.customId.startsWith('appeal_open_')) {
+        await handleAppealButton(interaction, bridgeConfig);
+        return;
+      }
+      
+      // Moderator decision in the appeals queue: "appeal_approve_7", "appeal_deny_7"
+      if (interaction.customId.startsWith('appeal_approve_') ||
+          interaction.customId.startsWith('appeal_deny_')) {
+        await handleAppealDecision(interaction);
+        return;
+      }
     }
     
   } catch (err) {
@@ -204,24 +483,26 @@ async function verifyWebhooks(readyClient) {
       console.log(`[Bot] Warning: Not in guild ${server.name || guildId}`);
       continue;
     }
-    for (const channelType of ['news', 'lfg', 'discussion']) {
-      const channelId = server.channels[channelType];
-      if (!channelId) continue;
-      const channel = guild.channels.cache.get(channelId);
-      if (!channel) {
-        console.log(`[Bot] Warning: Channel ${channelType} not found in ${guild.name}`);
-        continue;
-      }
-      try {
-        const webhookUrl = await ensureWebhook(channel, readyClient.user);
-        if (webhookUrl && webhookUrl !== server.webhooks[channelType]) {
-          server.webhooks[channelType] = webhookUrl;
-          setServer(bridgeConfig, guildId, server);
-          fixed++;
-          console.log(`[Bot] Fixed webhook for ${channelType} in ${guild.name}`);
+    // Each network the server is in has its own channels and webhooks
+    for (const [, mapping] of getServerNetworks(bridgeConfig, server)) {
+      for (const [channelType, channelId] of Object.entries(mapping.channels)) {
+        if (!channelId || !getChannelType(bridgeConfig, channelType)) continue;
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel) {
+          console.log(`[Bot] Warning: Channel ${channelType} not found in ${guild.name}`);
+          continue;
+        }
+        try {
+          const webhookUrl = await ensureWebhook(channel, readyClient.user);
+          if (webhookUrl && webhookUrl !== mapping.webhooks?.[channelType]) {
+            mapping.webhooks = { ...mapping.webhooks, [channelType]: webhookUrl };
+            setServer(bridgeConfig, guildId, server);
+            fixed++;
+            console.log(`[Bot] Fixed webhook for ${channelType} in ${guild.name}`);
+          }
+        } catch (err) {
+          console.error(`[Bot] Webhook verify failed for ${channelType} in ${guild.name}:`, err.message);
         }
-      } catch (err) {
-        console.error(`[Bot] Webhook verify failed for ${channelType} in ${guild.name}:`, err.message);
       }
     }
   }
@@ -236,6 +517,8 @@ async function verifyWebhooks(readyClient) {
 process.on('SIGINT', () => {
   console.log('\n[Bot] Shutting down...');
   stopRssPolling();
+  stopAdapters();
+  stopDeliveryWorker();
   client.destroy();
   process.exit(0);
 });
@@ -243,6 +526,8 @@ process.on('SIGINT', () => {
 process.on('SIGTERM', () => {
   console.log('\n[Bot] Received SIGTERM...');
   stopRssPolling();
+  stopAdapters();
+  stopDeliveryWorker();
   client.destroy();
   process.exit(0);
 });
@@ -0,0 +1,260 @@
+// =============================================================
+// appeals.js - Appealing a strike or ban
+// =============================================================
+// Every strike DM (and ban DM) comes with an "Appeal" button.
+//
+// Flow:
+// 1. The user clicks Appeal → a modal asks them to explain
+// 2. The appeal is saved and posted in the appeals queue channel
+//    (/pdh-config set appeals-channel here) with Approve/Deny buttons
+// 3. A moderator decides. Approving overturns the strike (and the
+//    suspension it caused) or lifts the ban
+// 4. The user gets a DM with the outcome
+//
+// There's one queue for the whole bridge, because strikes and bans
+// are bridge-wide too. Each strike can be appealed once; a ban can be
+// appealed again after a denied appeal.
+//
+// LEARNING NOTE: Buttons keep working after a restart because
+// everything they need is in their custom ID ("appeal_open_42" is
+// strike #42, "appeal_approve_7" is appeal #7) and in the database.
+// =============================================================
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const db = require('../database');
+const { truncate } = require('./shaping');
+const { logModAction } = require('./modlog');
+
+const MAX_EXPLANATION_LENGTH = 1000;
+
+const STATUS_COLOR = {
+  pending: 0xFEE75C,  // Yellow
+  approved: 0x57F287, // Green
+  denied: 0xED4245,   // Red
+};
+
+/**
+ * The button row added to strike and ban DMs.
+ * Pass the strike's ID, or null for a ban.
+ */
+function buildAppealRow(strikeId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`appeal_open_${strikeId || 'ban'}`)
+      .setLabel('Appeal')
+      .setEmoji('📝')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+// =============================================================
+// STEP 1: Appeal button (in the DM) → explanation modal
+// =============================================================
+
+async function handleAppealButton(interaction, config) {
+  const strikeId = parseAppealTarget(interaction.customId.replace('appeal_open_', ''));
+  const problem = checkAppealable(interaction.user.id, strikeId, config);
+  if (problem) {
+    await interaction.reply({ content: problem, ephemeral: true });
+    return;
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(`appeal_modal_${strikeId || 'ban'}`)
+    .setTitle(strikeId ? 'Appeal your strike' : 'Appeal your ban');
+
+  const explanationInput = new TextInputBuilder()
+    .setCustomId('appeal_explanation')
+    .setLabel('Why should this be overturned?')
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder('e.g., The filter caught a card name, not a swear word')
+    .setMaxLength(MAX_EXPLANATION_LENGTH)
+    .setRequired(true);
+
+  modal.addComponents(new ActionRowBuilder().addComponents(explanationInput));
+  await interaction.showModal(modal);
+}
+
+// =============================================================
+// STEP 2: Modal submit → save and post to the queue
+// =============================================================
+
+async function handleAppealModalSubmit(interaction, config) {
+  const strikeId = parseAppealTarget(interaction.customId.replace('appeal_modal_', ''));
+  // Checked again: the modal may have been open for a while
+  const problem = checkAppealable(interaction.user.id, strikeId, config);
+  if (problem) {
+    await interaction.reply({ content: problem, ephemeral: true });
+    return;
+  }
+
+  const queue = await interaction.client.channels.fetch(config.settings.appealsChannelId).catch(() => null);
+  if (!queue) {
+    await interaction.reply({ content: '❌ Appeals can\'t be sent right now. Please contact a PDH moderator directly.', ephemeral: true });
+    return;
+  }
+
+  const explanation = interaction.fields.getTextInputValue('appeal_explanation');
+  const appealId = db.createAppeal(interaction.user.id, interaction.user.username, strikeId, explanation);
+
+  try {
+    const queueMessage = await queue.send({
+      embeds: [buildQueueEmbed(db.getAppeal(appealId))],
+      components: [buildDecisionRow(appealId)],
+    });
+    db.setAppealQueueMessage(appealId, queue.id, queueMessage.id);
+  } catch (err) {
+    // Nobody would ever see it, so don't keep it (it would block a retry)
+    console.error(`[Appeals] Couldn't post appeal #${appealId} to the queue:`, err.message);
+    db.deleteAppeal(appealId);
+    await interaction.reply({ content: '❌ Your appeal couldn\'t be delivered to the moderators. Please try again later, or contact a PDH moderator directly.', ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({ content: '✅ Your appeal has been sent to the PDH moderators. You\'ll get a DM when they\'ve decided.', ephemeral: true });
+  console.log(`[Appeals] ${interaction.user.username} appealed ${strikeId ? `strike #${strikeId}` : 'their ban'} (appeal #${appealId})`);
+}
+
+// =============================================================
+// STEP 3: Approve / Deny buttons in the queue
+// =============================================================
+
+async function handleAppealDecision(interaction) {
+  // Required here because commands.js requires this file too
+  const { isAuthorized } = require('./commands');
+  if (!isAuthorized(interaction)) {
+    await interaction.reply({ content: 'Only PDH moderators can decide appeals.', ephemeral: true });
+    return;
+  }
+
+  // "appeal_approve_7" or "appeal_deny_7"
+  const [, action, id] = interaction.customId.split('_');
+  const status = action === 'approve' ? 'approved' : 'denied';
+  if (!db.resolveAppeal(parseInt(id), status, interaction.user.id, interaction.user.username)) {
+    await interaction.reply({ content: 'This appeal has already been decided.', ephemeral: true });
+    return;
+  }
+
+  const appeal = db.getAppeal(parseInt(id));
+  if (status === 'approved') {
+    if (appeal.strike_id) db.overturnStrike(appeal.strike_id);
+    else db.liftBan(appeal.user_id);
+  }
+
+  // Show the decision on the queue message, and remove the buttons
+  await interaction.update({ embeds: [buildQueueEmbed(appeal)], components: [] });
+  await notifyUser(interaction.client, appeal);
+  console.log(`[Appeals] ${interaction.user.username} ${status} appeal #${appeal.id} from ${appeal.username}`);
+  
+  const strike = appeal.strike_id ? db.getStrike(appeal.strike_id) : null;
+  const against = strike ? `strike ${strike.strike_number}` : 'ban';
+  await logModAction({
+    kind: 'appeal', userId: appeal.user_id, username: appeal.username,
+    guildId: strike?.guild_id || null, channelType: strike?.channel_type, excerpt: strike?.flagged_content,
+    moderator: interaction.user,
+    outcome: `Appeal #${appeal.id} ${status} — ${against} ${status === 'approved' ? 'overturned' : 'stands'}`,
+    reason: appeal.explanation,
+  });
+}
+
+// =============================================================
+// HELPERS
+// =============================================================
+
+/**
+ * "42" → strike #42, "ban" → null (the user's ban)
+ */
+function parseAppealTarget(text) {
+  return text === 'ban' ? null : parseInt(text);
+}
+
+/**
+ * Why this user can't appeal this strike (or their ban) right now,
+ * or null if they can.
+ */
+function checkAppealable(userId, strikeId, config) {
+  if (!config.settings.appealsChannelId) {
+    return 'Appeals aren\'t open right now. Please contact a PDH moderator directly.';
+  }
+
+  if (strikeId) {
+    const strike = db.getStrike(strikeId);
+    if (!strike || strike.user_id !== userId) return '❌ That strike couldn\'t be found.';
+    if (strike.overturned) return 'This strike has already been overturned.';
+  } else if (!db.getUser(userId)?.permanent_ban) {
+    return 'You aren\'t banned from the bridge.';
+  }
+
+  const existing = db.findAppeal(userId, strikeId);
+  if (existing) {
+    return existing.status === 'pending'
+      ? 'Your appeal is waiting for a moderator. You\'ll get a DM when it\'s decided.'
+      : `You've already appealed this strike (${existing.status}).`;
+  }
+  return null;
+}
+
+function buildQueueEmbed(appeal) {
+  const strike = appeal.strike_id ? db.getStrike(appeal.strike_id) : null;
+  const embed = new EmbedBuilder()
+    .setColor(STATUS_COLOR[appeal.status])
+    .setTitle(`📝 Appeal #${appeal.id} — ${appeal.username}`)
+    .addFields({ name: 'User', value: `<@${appeal.user_id}> (${appeal.user_id})` });
+
+  if (strike) {
+    embed.addFields(
+      { name: 'Against', value: `Strike ${strike.strike_number} (${strike.action_taken}) in ${strike.channel_type}, ${strike.created_at} UTC` },
+      { name: 'Flagged Message', value: truncate(strike.flagged_content || '*(none)*', 1024) },
+    );
+  } else {
+    embed.addFields({ name: 'Against', value: 'Permanent ban' });
+  }
+  embed.addFields({ name: 'Explanation', value: truncate(appeal.explanation, 1024) });
+
+  if (appeal.status !== 'pending') {
+    embed.setFooter({ text: `${appeal.status === 'approved' ? 'Approved' : 'Denied'} by ${appeal.reviewer_name}` });
+  }
+  return embed;
+}
+
+function buildDecisionRow(appealId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`appeal_approve_${appealId}`)
+      .setLabel('Approve')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`appeal_deny_${appealId}`)
+      .setLabel('Deny')
+      .setStyle(ButtonStyle.Danger),
+  );
+}
+
+async function notifyUser(client, appeal) {
+  const against = appeal.strike_id ? 'strike' : 'ban';
+  const message = appeal.status === 'approved'
+    ? `**PDH Bridge Notice**\n\n✅ Your appeal was **approved**. The ${against} has been removed, ` +
+      `and your messages are relayed across PDH servers again (unless another suspension is still running).`
+    : `**PDH Bridge Notice**\n\nYour appeal was reviewed by a PDH moderator and **denied**. The ${against} stays in place.`;
+  try {
+    const user = await client.users.fetch(appeal.user_id);
+    await user.send(message);
+  } catch (err) {
+    console.log(`[Appeals] Couldn't DM ${appeal.username} the outcome - DMs may be disabled`);
+  }
+}
+
+module.exports = {
+  buildAppealRow,
+  handleAppealButton,
+  handleAppealModalSubmit,
+  handleAppealDecision,
+};
@@ -0,0 +1,137 @@
+// =============================================================
+// attachments.js - What happens to files on relayed messages
+// =============================================================
+// Every server has an upload limit that depends on its boost level.
+// A 40 MB video is fine on a fully boosted server but too big for an
+// unboosted one, and Discord rejects the WHOLE message if even one
+// file is over the limit. So for each target server, every
+// attachment is checked on its own:
+//
+//   allowed type + fits  → re-uploaded as a file (spoilers stay spoilers)
+//   allowed type + too big → a "link card" pointing at the original
+//   type not allowed here  → a short note, no file
+//
+// Which types are allowed is set per channel type ("fileTypes" in
+// the channel type registry, see config.js).
+//
+// LEARNING NOTE ON MIME TYPES:
+// A MIME type is a standard label for what kind of file something
+// is: "image/png", "video/mp4", "application/pdf"... The part
+// before the slash is the general kind, so "image/*" means "any
+// kind of image".
+// =============================================================
+
+const { EmbedBuilder } = require('discord.js');
+
+// Upload limit per boost tier (premiumTier 0-3), in bytes
+const MB = 1024 * 1024;
+const UPLOAD_LIMITS = [10 * MB, 10 * MB, 50 * MB, 100 * MB];
+
+// Discord allows at most 10 embeds per message (link cards included)
+const MAX_EMBEDS = 10;
+
+/**
+ * Decide how each attachment is relayed to one target server.
+ *
+ * @param {Collection} attachments - message.attachments
+ * @param {Object} typeConfig - The channel type's registry entry
+ * @param {Guild} targetGuild - Target server (for its upload limit); may be null
+ * @param {number} embedSlots - How many embeds the message has room for
+ * @returns {Object} { files, cards, notes }
+ *   files: webhook "files" entries to upload
+ *   cards: link-card embeds for files that were too big
+ *   notes: text lines for everything else (spoilered cards, blocked types)
+ */
+function applyAttachmentPolicy(attachments, typeConfig, targetGuild, embedSlots = MAX_EMBEDS) {
+  const result = { files: [], cards: [], notes: [] };
+  const limit = getUploadLimit(targetGuild);
+  let totalSize = 0;
+
+  for (const att of attachments.values()) {
+    if (!isAllowedType(att.contentType, typeConfig?.fileTypes)) {
+      result.notes.push(`📎 *${att.name} wasn't relayed (file type not allowed here)*`);
+      continue;
+    }
+
+    // The limit covers the whole upload, so count files already added
+    if (totalSize + att.size <= limit) {
+      // Keeping the name keeps its SPOILER_ prefix, which is what
+      // makes Discord blur it
+      result.files.push({ attachment: att.url, name: att.name });
+      totalSize += att.size;
+      continue;
+    }
+
+    // Too big: link to the original instead. Embeds can't be hidden
+    // as spoilers, so spoilered files get a hidden text link.
+    if (att.spoiler || result.cards.length >= embedSlots) {
+      const link = `📎 [${att.name.replace(/^SPOILER_/, '')}](${att.url}) (${formatSize(att.size)})`;
+      result.notes.push(att.spoiler ? `||${link}||` : link);
+    } else {
+      result.cards.push(buildLinkCard(att));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * A target server's upload limit, from its boost tier.
+ * Unknown servers get the smallest limit, to be safe.
+ */
+function getUploadLimit(guild) {
+  return UPLOAD_LIMITS[guild?.premiumTier ?? 0] ?? UPLOAD_LIMITS[0];
+}
+
+/**
+ * Does a MIME type match the allowlist? A missing list allows
+ * everything; a file with no type only passes the "match anything"
+ * wildcard.
+ */
+function isAllowedType(contentType, allowed) {
+  if (!allowed) return true;
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return allowed.some(pattern => {
+    if (pattern === '*' || pattern === '*/*') return true;
+    if (!type) return false;
+    if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+    return type === pattern.toLowerCase();
+  });
+}
+
+function buildLinkCard(att) {
+  return new EmbedBuilder()
+    .setColor(0x4F545C)
+    .setTitle(`📎 ${att.name}`.substring(0, 256))
+    .setURL(att.url)
+    .setDescription(`${formatSize(att.size)} — too large to upload on this server. Click to open.`)
+    .toJSON();
+}
+
+function formatSize(bytes) {
+  if (bytes >= MB) return `${(bytes / MB).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Last-resort fallback used by the delivery queue: if Discord still
+ * rejects a send as too large, swap every uploaded file for a plain
+ * link so the message itself gets through.
+ */
+function replaceFilesWithLinks(payload) {
+  if (!payload.files?.length) return null;
+  const links = payload.files.map(file => {
+    const name = file.name.replace(/^SPOILER_/, '');
+    const link = `📎 [${name}](${file.attachment})`;
+    return file.name.startsWith('SPOILER_') ? `||${link}||` : link;
+  });
+  const { files, ...rest } = payload;
+  return { ...rest, content: [payload.content, ...links].filter(Boolean).join('\n') };
+}
+
+module.exports = {
+  applyAttachmentPolicy,
+  replaceFilesWithLinks,
+  getUploadLimit,
+  isAllowedType,
+};
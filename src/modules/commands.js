@@ -2,9 +2,16 @@
 // commands.js - Admin slash commands for managing the bridge
 // =============================================================
 
-const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
 const db = require('../database');
 const { env } = require('../config');
+const { buildAppealRow } = require('./appeals');
+const { logModAction, MODLOG_SCOPES } = require('./modlog');
+const { loadFilterWords } = require('./moderation');
+const { truncate } = require('./shaping');
+
+// Longest custom filter term (/pdh-filter add)
+const MAX_FILTER_TERM_LENGTH = 50;
 
 // --- /pdh-ban ---
 async function handleBan(interaction) {
@@ -16,12 +23,17 @@ async function handleBan(interaction) {
   const reason = interaction.options.getString('reason') || 'No reason given';
   db.permanentBan(targetUser.id, targetUser.username);
   try {
-    await targetUser.send(
-      `**PDH Bridge Notice**\n\nYou have been permanently banned from PDH bridge channels.\nReason: ${reason}\n\nYour messages will no longer be relayed across PDH servers. If you believe this is a mistake, please contact a PDH administrator.`
-    );
+    await targetUser.send({
+      content: `**PDH Bridge Notice**\n\nYou have been permanently banned from PDH bridge channels.\nReason: ${reason}\n\nYour messages will no longer be relayed across PDH servers. If you believe this is a mistake, use the Appeal button below.`,
+      components: [buildAppealRow(null)],
+    });
   } catch (err) { /* DMs disabled */ }
   await interaction.reply({ content: `✅ **${targetUser.username}** has been permanently banned from the PDH bridge.\nReason: ${reason}`, ephemeral: true });
   console.log(`[Admin] ${interaction.user.username} banned ${targetUser.username}: ${reason}`);
+  await logModAction({
+    kind: 'ban', userId: targetUser.id, username: targetUser.username, guildId: interaction.guildId,
+    moderator: interaction.user, outcome: 'Permanent ban', reason,
+  });
 }
 
 // --- /pdh-unban ---
@@ -34,10 +46,20 @@ async function handleUnban(interaction) {
   db.removeBan(targetUser.id);
   await interaction.reply({ content: `✅ **${targetUser.username}** has been unbanned. Strike history preserved.`, ephemeral: true });
   console.log(`[Admin] ${interaction.user.username} unbanned ${targetUser.username}`);
+  await logModAction({
+    kind: 'unban', userId: targetUser.id, username: targetUser.username, guildId: interaction.guildId,
+    moderator: interaction.user, outcome: 'Ban and any suspension lifted',
+  });
 }
 
 // --- /pdh-strikes ---
-async function handleStrikes(interaction) {
+// Shows every strike ever given (raw) and how many still count toward
+// the ladder after decay (effective). Decayed strikes stay listed.
+// Networks can set their own decay, and a strike climbs the ladder
+// with its network's setting (see addStrike), so networks that differ
+// are shown side by side.
+async function handleStrikes(interaction, config) {
+  const { getNetworkSettings } = require('../config');
   if (!isAuthorized(interaction)) {
     await interaction.reply({ content: 'You don\'t have permission to use this command.', ephemeral: true });
     return;
@@ -49,33 +71,74 @@ async function handleStrikes(interaction) {
     return;
   }
   const history = db.getStrikeHistory(targetUser.id);
+  const byDecay = new Map();
+  for (const [id, network] of Object.entries(config.networks)) {
+    const decayDays = getNetworkSettings(config, id).strikeDecayDays || 0;
+    if (!byDecay.has(decayDays)) byDecay.set(decayDays, { decayDays, names: [], ...db.getStrikeDecay(targetUser.id, decayDays) });
+    byDecay.get(decayDays).names.push(network.name || id);
+  }
+  const decays = [...byDecay.values()];
+  const describeNetworks = d => d.names.join(', ');
   const embed = new EmbedBuilder()
     .setColor(user.permanent_ban ? 0xED4245 : 0xFEE75C)
     .setTitle(`📋 Record: ${targetUser.username}`)
     .setThumbnail(targetUser.displayAvatarURL({ size: 64 }))
     .addFields(
       { name: 'Total Strikes', value: `${user.strike_count}`, inline: true },
+      {
+        name: 'Counting Now',
+        value: decays.length === 1 ? `${decays[0].count}` : decays.map(d => `${describeNetworks(d)}: ${d.count}`).join('\n'),
+        inline: true,
+      },
       { name: 'Status', value: getStatusText(user), inline: true },
     );
   if (history.length > 0) {
+    // Which strikes decay wore off comes from the same walk as the
+    // count; overturned ones (after an appeal) don't count at all
     const historyText = history.slice(0, 5).map(h => {
       const date = new Date(h.created_at).toLocaleDateString();
-      return `\`${date}\` — Strike ${h.strike_number}: ${h.action_taken}`;
+      const forgivenIn = decays.filter(d => d.forgivenIds.has(h.id));
+      const note = h.overturned ? ' *(overturned)*'
+        : forgivenIn.length === decays.length ? ' *(forgiven)*'
+        : forgivenIn.length > 0 ? ` *(forgiven in ${forgivenIn.map(describeNetworks).join(', ')})*`
+        : '';
+      return `\`${date}\` — Strike ${h.strike_number}: ${h.action_taken}${note}`;
     }).join('\n');
     embed.addFields({ name: 'Recent History', value: historyText });
   }
+  const describeDecay = days => (days > 0 ? `One strike is forgiven per ${days} clean days` : 'Strikes don\'t decay');
+  embed.setFooter({
+    text: decays.length === 1
+      ? describeDecay(decays[0].decayDays)
+      : decays.map(d => `${describeNetworks(d)}: ${describeDecay(d.decayDays).toLowerCase()}`).join(' · '),
+  });
   await interaction.reply({ embeds: [embed], ephemeral: true });
 }
 
 // --- /pdh-config ---
+// Server tags and badges share the relayed username's 80 characters
+// with the sender's name, so keep them short
+const MAX_SERVER_TAG_LENGTH = 16;
+const OWNER_ONLY_SETTINGS = ['flood-limit', 'flood-burst', 'flood-strikes'];
+
 async function handleConfig(interaction, config) {
   if (!isAuthorized(interaction)) {
     await interaction.reply({ content: 'You don\'t have permission to use this command.', ephemeral: true });
     return;
   }
+  if (interaction.options.getSubcommand() === 'strike-ladder') {
+    await handleStrikeLadder(interaction, config);
+    return;
+  }
   const setting = interaction.options.getString('setting');
   const value = interaction.options.getString('value');
   const { saveConfig } = require('../config');
+  // Slow mode follows users across every server, so like the other
+  // bridge-wide settings only the owner can change it
+  if (OWNER_ONLY_SETTINGS.includes(setting) && !isOwner(interaction)) {
+    await interaction.reply({ content: '❌ Only the bot owner can change bridge-wide slow mode.', ephemeral: true });
+    return;
+  }
   switch (setting) {
     case 'links':
       config.settings.filterLinks = value === 'on';
@@ -92,62 +155,427 @@ async function handleConfig(interaction, config) {
       saveConfig(config);
       await interaction.reply({ content: `✅ LFG posts now expire after **${minutes} minutes**.`, ephemeral: true });
       break;
+    case 'flood-limit': {
+      // "10/60" = 10 messages per user per 60 seconds, across the bridge
+      if (value === 'off') {
+        config.settings.floodMessages = 0;
+        saveConfig(config);
+        await interaction.reply({ content: '✅ Bridge-wide slow mode is now **off**.', ephemeral: true });
+        return;
+      }
+      const match = value.match(/^(\d+)\s*\/\s*(\d+)$/);
+      const messages = match ? parseInt(match[1]) : NaN;
+      const seconds = match ? parseInt(match[2]) : NaN;
+      if (!(messages >= 1 && messages <= 100 && seconds >= 5 && seconds <= 3600)) {
+        await interaction.reply({ content: 'Use `messages/seconds`, e.g. `10/60` (1-100 messages per 5-3600 seconds), or `off`.', ephemeral: true });
+        return;
+      }
+      config.settings.floodMessages = messages;
+      config.settings.floodWindowSeconds = seconds;
+      saveConfig(config);
+      await interaction.reply({ content: `✅ Each user can now relay **${messages} messages per ${seconds} seconds** across the bridge.`, ephemeral: true });
+      break;
+    }
+    case 'flood-burst': {
+      const burst = parseInt(value);
+      if (isNaN(burst) || burst < 1 || burst > 50) {
+        await interaction.reply({ content: 'Burst must be between 1 and 50 messages.', ephemeral: true });
+        return;
+      }
+      config.settings.floodBurst = burst;
+      saveConfig(config);
+      await interaction.reply({ content: `✅ Users can now send up to **${burst} messages** in a row before slow mode kicks in.`, ephemeral: true });
+      break;
+    }
+    case 'flood-strikes': {
+      const count = parseInt(value);
+      if (isNaN(count) || count < 0 || count > 100) {
+        await interaction.reply({ content: 'Use a number from 1 to 100, or 0 to never give strikes for flooding.', ephemeral: true });
+        return;
+      }
+      config.settings.floodStrikeAfter = count;
+      saveConfig(config);
+      await interaction.reply({
+        content: count > 0
+          ? `✅ **${count}** messages blocked by slow mode within 10 minutes now earn a strike.`
+          : '✅ Slow mode no longer gives strikes.',
+        ephemeral: true,
+      });
+      break;
+    }
+    case 'reaction-sync': {
+      // Per-server: applies to the server the command is used in
+      const server = config.servers[interaction.guild.id];
+      if (!server) {
+        await interaction.reply({ content: '❌ This server isn\'t part of the bridge yet. Run `/pdh-setup` first.', ephemeral: true });
+        return;
+      }
+      server.reactionSync = value === 'on';
+      saveConfig(config);
+      await interaction.reply({ content: `✅ Cross-server reaction totals are now **${server.reactionSync ? 'on' : 'off'}** for **${interaction.guild.name}**.`, ephemeral: true });
+      break;
+    }
+    case 'real-mentions': {
+      // Per-server: let relayed @mentions of this server's members ping them
+      const server = config.servers[interaction.guild.id];
+      if (!server) {
+        await interaction.reply({ content: '❌ This server isn\'t part of the bridge yet. Run `/pdh-setup` first.', ephemeral: true });
+        return;
+      }
+      server.realMentions = value === 'on';
+      saveConfig(config);
+      await interaction.reply({ content: `✅ Real mentions from other servers are now **${server.realMentions ? 'on' : 'off'}** for **${interaction.guild.name}**.`, ephemeral: true });
+      break;
+    }
+    case 'attribution': {
+      // How relayed messages show which server they came from
+      const modes = ['off', 'tag', 'badge', 'both'];
+      if (!modes.includes(value)) {
+        await interaction.reply({ content: `Attribution must be one of: ${modes.join(', ')}.`, ephemeral: true });
+        return;
+      }
+      config.settings.attribution = value;
+      saveConfig(config);
+      await interaction.reply({ content: `✅ Origin attribution is now **${value}**.`, ephemeral: true });
+      break;
+    }
+    case 'pin-sync': {
+      // Per-server: whether pins follow bridged messages here, and
+      // (owner only) whether this server's pins go across the bridge
+      const { PIN_SYNC_MODES } = require('./pins');
+      const server = config.servers[interaction.guild.id];
+      if (!server) {
+        await interaction.reply({ content: '❌ This server isn\'t part of the bridge yet. Run `/pdh-setup` first.', ephemeral: true });
+        return;
+      }
+      if (!PIN_SYNC_MODES.includes(value)) {
+        await interaction.reply({ content: `Pin sync must be one of: ${PIN_SYNC_MODES.join(', ')}.`, ephemeral: true });
+        return;
+      }
+      if (value === 'trusted' && !isOwner(interaction)) {
+        await interaction.reply({ content: '❌ Only the bot owner can make a server trusted for pin sync.', ephemeral: true });
+        return;
+      }
+      server.pinSync = value;
+      saveConfig(config);
+      await interaction.reply({ content: `✅ Pin sync is now **${value}** for **${interaction.guild.name}**.`, ephemeral: true });
+      break;
+    }
+    case 'appeals-channel': {
+      // Bridge-wide: where appeals from strike and ban DMs are posted
+      // for review (see appeals.js). Owner only, since approving an
+      // appeal undoes a strike on every server.
+      if (!isOwner(interaction)) {
+        await interaction.reply({ content: '❌ Only the bot owner can choose the appeals channel.', ephemeral: true });
+        return;
+      }
+      if (value === 'off') {
+        delete config.settings.appealsChannelId;
+        saveConfig(config);
+        await interaction.reply({ content: '✅ Appeals are now **closed**. Strike DMs will still show the button, but it will say so.', ephemeral: true });
+        return;
+      }
+      if (value !== 'here') {
+        await interaction.reply({ content: 'Use `here` (in the channel that should get appeals) or `off`.', ephemeral: true });
+        return;
+      }
+      config.settings.appealsChannelId = interaction.channelId;
+      saveConfig(config);
+      await interaction.reply({ content: `✅ Appeals will be posted in <#${interaction.channelId}>.`, ephemeral: true });
+      break;
+    }
+    case 'server-tag':
+    case 'server-badge': {
+      // Per-server: the tag ("cPDH") or emoji badge shown on this server's relays
+      const server = config.servers[interaction.guild.id];
+      if (!server) {
+        await interaction.reply({ content: '❌ This server isn\'t part of the bridge yet. Run `/pdh-setup` first.', ephemeral: true });
+        return;
+      }
+      const field = setting === 'server-tag' ? 'tag' : 'badge';
+      const newValue = value.trim();
+      if (newValue.length > MAX_SERVER_TAG_LENGTH) {
+        await interaction.reply({ content: `Keep it to ${MAX_SERVER_TAG_LENGTH} characters or fewer.`, ephemeral: true });
+        return;
+      }
+      if (newValue === 'none' || !newValue) {
+        delete server[field];
+      } else {
+        server[field] = newValue;
+      }
+      saveConfig(config);
+      await interaction.reply({ content: `✅ This server's ${field} is now **${server[field] || 'not set'}**.`, ephemeral: true });
+      break;
+    }
     default:
       await interaction.reply({ content: 'Unknown setting.', ephemeral: true });
   }
 }
 
+// --- /pdh-config strike-ladder ---
+// With no options, shows the ladder. "steps" replaces it, "ban-at"
+// sets the strike that bans permanently, and "decay-days" how fast
+// strikes wear off (see "Strike ladder" in config.js). Changes are
+// owner only.
+async function handleStrikeLadder(interaction, config) {
+  const { saveConfig, validateStrikeLadder } = require('../config');
+  const stepsText = interaction.options.getString('steps');
+  const banAt = interaction.options.getInteger('ban-at');
+  const decayDays = interaction.options.getInteger('decay-days');
+  
+  // Anyone who can use /pdh-config can view the ladder. Changing it is
+  // owner only, since it decides what a strike costs on every server.
+  const changed = stepsText !== null || banAt !== null || decayDays !== null;
+  if (changed && !isOwner(interaction)) {
+    await interaction.reply({ content: '❌ Only the bot owner can change the strike ladder.', ephemeral: true });
+    return;
+  }
+  
+  if (stepsText !== null) {
+    const steps = stepsText.split(',').map(step => step.trim().toLowerCase()).filter(Boolean);
+    const error = validateStrikeLadder(steps);
+    if (error) {
+      await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+      return;
+    }
+    config.settings.strikeLadder = steps;
+  }
+  if (banAt !== null) config.settings.strikeBanAt = banAt;
+  if (decayDays !== null) config.settings.strikeDecayDays = decayDays;
+  
+  if (changed) {
+    saveConfig(config);
+    console.log(`[Admin] ${interaction.user.username} set the strike ladder to ${config.settings.strikeLadder.join(', ')} (ban at ${config.settings.strikeBanAt || 'never'}, decay ${config.settings.strikeDecayDays || 'off'})`);
+  }
+  
+  const decay = config.settings.strikeDecayDays > 0
+    ? `One strike is forgiven per **${config.settings.strikeDecayDays}** clean days.`
+    : 'Strikes never decay.';
+  const embed = new EmbedBuilder()
+    .setColor(0xFEE75C)
+    .setTitle(changed ? '✅ Strike ladder updated' : '📋 Strike ladder')
+    .setDescription(`${describeStrikeLadder(config.settings)}\n\n${decay}`)
+    .setFooter({ text: 'Applies to new strikes only. /pdh-config strike-ladder steps:warning, 3d, 2w, permanent' });
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// --- /pdh-modlog ---
+// Post this server's moderation log in the current channel: actions
+// from every server (network), only from this one (local), or off.
+async function handleModLog(interaction, config) {
+  if (!isAuthorized(interaction)) {
+    await interaction.reply({ content: 'You don\'t have permission to use this command.', ephemeral: true });
+    return;
+  }
+  const { setServer } = require('../config');
+  const server = config.servers[interaction.guild.id];
+  if (!server) {
+    await interaction.reply({ content: '❌ This server isn\'t part of the bridge yet. Run `/pdh-setup` first.', ephemeral: true });
+    return;
+  }
+  
+  const scope = interaction.options.getString('scope');
+  if (scope === 'off') {
+    delete server.modLog;
+    setServer(config, interaction.guild.id, server);
+    await interaction.reply({ content: '✅ The moderation log is now **off** for this server.', ephemeral: true });
+    return;
+  }
+  if (!MODLOG_SCOPES.includes(scope)) {
+    await interaction.reply({ content: `Scope must be one of: ${MODLOG_SCOPES.join(', ')}, off.`, ephemeral: true });
+    return;
+  }
+  
+  server.modLog = { channelId: interaction.channelId, scope };
+  setServer(config, interaction.guild.id, server);
+  const what = scope === 'network' ? 'from every server on the bridge' : 'from this server';
+  await interaction.reply({ content: `✅ Moderation actions ${what} will be logged in <#${interaction.channelId}>.`, ephemeral: true });
+  console.log(`[Admin] ${interaction.user.username} set the mod log on ${interaction.guild.name} to #${interaction.channel?.name} (${scope})`);
+}
+
+// --- /pdh-filter ---
+// Custom blocked and allowed terms for the profanity filter. Terms for
+// the whole bridge (and every allowed term) are owner-only; server
+// admins can block extra terms for posts from their own server.
+async function handleFilter(interaction) {
+  if (!isAuthorized(interaction)) {
+    await interaction.reply({ content: 'You don\'t have permission to use this command.', ephemeral: true });
+    return;
+  }
+  const subcommand = interaction.options.getSubcommand();
+  
+  if (subcommand === 'list') {
+    const entries = db.getFilterWords().filter(entry => !entry.guild_id || entry.guild_id === interaction.guildId);
+    const describe = entry => `||${entry.term}|| — ${entry.added_by_name || 'unknown'}${entry.reason ? `: ${entry.reason}` : ''}`;
+    const sections = [
+      ['🚫 Blocked on the whole bridge', entries.filter(e => !e.guild_id && e.list === 'block')],
+      ['✅ Allowed on the whole bridge', entries.filter(e => !e.guild_id && e.list === 'allow')],
+      ['🏠 Blocked on this server', entries.filter(e => e.guild_id)],
+    ];
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('🧹 Custom Filter Words')
+      .setFooter({ text: 'Added to the built-in word list • /pdh-filter add to change' });
+    for (const [name, list] of sections) {
+      // Whole lines only, so a cut never opens a spoiler without closing it
+      const lines = [];
+      for (const entry of list) {
+        const line = truncate(describe(entry), 200);
+        if ([...lines, line, '…and 999 more'].join('\n').length > 1024) {
+          lines.push(`…and ${list.length - lines.length} more`);
+          break;
+        }
+        lines.push(line);
+      }
+      embed.addFields({ name, value: lines.join('\n') || '*(none)*' });
+    }
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  
+  const term = interaction.options.getString('term').trim().toLowerCase();
+  const list = interaction.options.getString('list') || 'block';
+  const scope = interaction.options.getString('scope') || 'local';
+  const guildId = scope === 'network' ? null : interaction.guildId;
+  const where = scope === 'network' ? 'the whole bridge' : 'this server';
+  
+  if (scope === 'network' && !isOwner(interaction)) {
+    await interaction.reply({ content: '❌ Only the bot owner can change the word list for the whole bridge.', ephemeral: true });
+    return;
+  }
+  if (list === 'allow' && scope !== 'network') {
+    await interaction.reply({ content: '❌ Allowed terms apply to the whole bridge. Use `scope:Whole bridge` (owner only).', ephemeral: true });
+    return;
+  }
+  
+  if (subcommand === 'add') {
+    // The filter masks text one word at a time, so a phrase (or anything
+    // with punctuation in it) would be blocked but never masked
+    if (term.length > MAX_FILTER_TERM_LENGTH || !/^\w+$/.test(term)) {
+      await interaction.reply({ content: `❌ Terms must be a single word of letters and numbers, at most ${MAX_FILTER_TERM_LENGTH} characters.`, ephemeral: true });
+      return;
+    }
+    const opposite = list === 'block' ? 'allow' : 'block';
+    if (scope === 'network' && db.getFilterWord(term, opposite, null)) {
+      await interaction.reply({ content: `❌ ||${term}|| is on the ${opposite} list. Remove it from there first.`, ephemeral: true });
+      return;
+    }
+    
+    const reason = interaction.options.getString('reason');
+    if (!db.addFilterWord(term, list, guildId, reason, interaction.user.id, interaction.user.username)) {
+      await interaction.reply({ content: `||${term}|| is already on the ${list} list for ${where}.`, ephemeral: true });
+      return;
+    }
+    loadFilterWords();
+    await interaction.reply({ content: `✅ ||${term}|| is now ${list === 'block' ? 'blocked' : 'allowed'} on ${where}.`, ephemeral: true });
+    console.log(`[Admin] ${interaction.user.username} added ${list === 'allow' ? 'an allowed' : 'a blocked'} term for ${scope === 'network' ? 'the bridge' : interaction.guild.name}`);
+    return;
+  }
+  
+  if (subcommand === 'remove') {
+    if (!db.removeFilterWord(term, list, guildId)) {
+      await interaction.reply({ content: `❌ ||${term}|| isn't on the ${list} list for ${where}.`, ephemeral: true });
+      return;
+    }
+    loadFilterWords();
+    await interaction.reply({ content: `✅ ||${term}|| was removed from the ${list} list for ${where}.`, ephemeral: true });
+    console.log(`[Admin] ${interaction.user.username} removed ${list === 'allow' ? 'an allowed' : 'a blocked'} term for ${scope === 'network' ? 'the bridge' : interaction.guild.name}`);
+  }
+}
+
 // --- /pdh-setup ---
 async function handleSetup(interaction, config) {
   if (!isAuthorized(interaction)) {
     await interaction.reply({ content: 'You don\'t have permission to use this command.', ephemeral: true });
     return;
   }
-  const newsChannel = interaction.options.getChannel('news-channel');
-  const lfgChannel = interaction.options.getChannel('lfg-channel');
-  const discussionChannel = interaction.options.getChannel('discussion-channel');
-  const newsRole = interaction.options.getRole('news-role');
-  const lfgRole = interaction.options.getRole('lfg-role');
+  const { ensureWebhook } = require('../bridge');
+  const { setServer, getChannelType, MAIN_NETWORK } = require('../config');
   
-  await interaction.deferReply({ ephemeral: true });
+  const network = interaction.options.getString('network') || MAIN_NETWORK;
+  if (!config.networks[network]) {
+    await interaction.reply({ content: `❌ Unknown network \`${network}\`. Networks are declared in bridge-config.json.`, ephemeral: true });
+    return;
+  }
   
-  const { ensureWebhook } = require('../bridge');
-  const { setServer } = require('../config');
+  // Collect what to set up. The news/lfg/discussion options are
+  // shortcuts for the built-in types; "type" + "channel" + "role"
+  // work for ANY type in the channel type registry (see config.js).
+  const requested = [];
+  for (const type of ['news', 'lfg', 'discussion']) {
+    const channel = interaction.options.getChannel(`${type}-channel`);
+    const role = interaction.options.getRole(`${type}-role`);
+    if (channel || role) requested.push({ type, channel, role });
+  }
+  const extraType = interaction.options.getString('type');
+  if (extraType) {
+    if (!getChannelType(config, extraType)) {
+      await interaction.reply({ content: `❌ Unknown channel type \`${extraType}\`.`, ephemeral: true });
+      return;
+    }
+    requested.push({
+      type: extraType,
+      channel: interaction.options.getChannel('channel'),
+      role: interaction.options.getRole('role'),
+    });
+  }
+  if (requested.length === 0) {
+    await interaction.reply({ content: '❌ Pick at least one channel or role to set up.', ephemeral: true });
+    return;
+  }
   
-  const botUser = interaction.client.user;
-  const newsWebhook = newsChannel ? await ensureWebhook(newsChannel, botUser) : null;
-  const lfgWebhook = lfgChannel ? await ensureWebhook(lfgChannel, botUser) : null;
-  const discussionWebhook = discussionChannel ? await ensureWebhook(discussionChannel, botUser) : null;
+  await interaction.deferReply({ ephemeral: true });
   
+  // Start from this server's existing setup so running the command
+  // for one channel type doesn't wipe out the others
+  const existing = config.servers[interaction.guild.id] || {};
   const serverData = {
+    ...existing,
     name: interaction.guild.name,
-    channels: {
-      news: newsChannel?.id || null,
-      lfg: lfgChannel?.id || null,
-      discussion: discussionChannel?.id || null,
-    },
-    webhooks: {
-      news: newsWebhook,
-      lfg: lfgWebhook,
-      discussion: discussionWebhook,
-    },
-    roles: {
-      news: newsRole?.id || null,
-      lfg: lfgRole?.id || null,
-    },
+    channels: { ...existing.channels },
+    webhooks: { ...existing.webhooks },
+    roles: { ...existing.roles },
   };
   
-  setServer(config, interaction.guild.id, serverData);
+  // The main network's channels live on the server entry itself;
+  // any other network gets its own mapping under "networks"
+  let mapping = serverData;
+  if (network !== MAIN_NETWORK) {
+    const existingMapping = existing.networks?.[network] || {};
+    mapping = {
+      channels: { ...existingMapping.channels },
+      webhooks: { ...existingMapping.webhooks },
+      roles: { ...existingMapping.roles },
+    };
+    serverData.networks = { ...existing.networks, [network]: mapping };
+  }
+  
+  const botUser = interaction.client.user;
+  const networkName = config.networks[network].name || network;
+  let confirmation = `✅ **${interaction.guild.name}** is now part of the ${networkName} bridge!\n\n`;
+  let roleLines = '';
+  for (const { type, channel, role } of requested) {
+    const typeConfig = getChannelType(config, type);
+    // Forum types need a forum channel, and the rest a text channel
+    if (channel && !!typeConfig.forum !== (channel.type === ChannelType.GuildForum)) {
+      confirmation += `${typeConfig.emoji} ${typeConfig.label}: ${channel} ❌ needs a ${typeConfig.forum ? 'forum' : 'text'} channel\n`;
+    } else if (channel) {
+      const webhook = await ensureWebhook(channel, botUser);
+      mapping.channels[type] = channel.id;
+      mapping.webhooks[type] = webhook;
+      confirmation += `${typeConfig.emoji} ${typeConfig.label}: ${channel} ${webhook ? '✅' : '❌ webhook failed'}\n`;
+    }
+    if (role) {
+      mapping.roles[type] = role.id;
+      roleLines += `\n📢 @${type} role: ${role}`;
+    }
+  }
+  confirmation += roleLines;
   
-  let confirmation = `✅ **${interaction.guild.name}** is now part of the PDH bridge!\n\n`;
-  if (newsChannel) confirmation += `📰 News: ${newsChannel} ${newsWebhook ? '✅' : '❌ webhook failed'}\n`;
-  if (lfgChannel) confirmation += `🎮 LFG: ${lfgChannel} ${lfgWebhook ? '✅' : '❌ webhook failed'}\n`;
-  if (discussionChannel) confirmation += `💬 Discussion: ${discussionChannel} ${discussionWebhook ? '✅' : '❌ webhook failed'}\n`;
-  if (newsRole) confirmation += `\n📢 @news role: ${newsRole}`;
-  if (lfgRole) confirmation += `\n🎮 @lfg role: ${lfgRole}`;
+  setServer(config, interaction.guild.id, serverData);
   
   await interaction.editReply({ content: confirmation });
-  console.log(`[Admin] ${interaction.user.username} set up bridge for ${interaction.guild.name}`);
+  console.log(`[Admin] ${interaction.user.username} set up ${network} bridge for ${interaction.guild.name}`);
 }
 
 // --- /pdh-status ---
@@ -166,12 +594,20 @@ async function handleStatus(interaction, config) {
       { name: 'LFG Expiry', value: `${config.settings.lfgExpiryMinutes} min`, inline: true },
       { name: 'RSS Feed', value: config.settings.rssFeedUrl ? '✅ Active' : '❌ Not set', inline: true },
     );
+  const { getServerNetworks, getChannelDirection, MAIN_NETWORK } = require('../config');
+  const directionMarks = { both: '', send: '⬆️', receive: '⬇️' };
   for (const [guildId, server] of servers) {
-    const channels = [];
-    if (server.channels.news) channels.push('📰');
-    if (server.channels.lfg) channels.push('🎮');
-    if (server.channels.discussion) channels.push('💬');
-    embed.addFields({ name: server.name || guildId, value: channels.join(' ') || 'No channels', inline: true });
+    // One line per network the server is in (just the icons for main),
+    // with ⬆️/⬇️ after send-only/receive-only channels
+    const lines = getServerNetworks(config, server).map(([network, mapping]) => {
+      const icons = Object.entries(mapping.channels)
+        .filter(([type, id]) => id && config.channelTypes[type])
+        .map(([type]) => config.channelTypes[type].emoji + directionMarks[getChannelDirection(mapping, type)])
+        .join(' ');
+      if (!icons) return null;
+      return network === MAIN_NETWORK ? icons : `${config.networks[network].name || network}: ${icons}`;
+    }).filter(Boolean);
+    embed.addFields({ name: server.name || guildId, value: lines.join('\n') || 'No channels', inline: true });
   }
   await interaction.reply({ embeds: [embed], ephemeral: true });
 }
@@ -190,15 +626,21 @@ async function handlePin(interaction, config) {
   await interaction.deferReply({ ephemeral: true });
   
   const { postPinnedExplanation } = require('./lfg');
+  const { getServerNetworks } = require('../config');
+  
+  // A server's LFG channels, one per network it's in (main first)
+  const lfgChannelIds = server => (server ? getServerNetworks(config, server) : [])
+    .map(([, mapping]) => mapping.channels.lfg)
+    .filter(Boolean);
   
   if (channelType === 'lfg') {
     // Pin LFG explanation in the current server's LFG channel
-    const serverConfig = config.servers[interaction.guild.id];
-    if (!serverConfig?.channels?.lfg) {
+    const lfgChannelId = lfgChannelIds(config.servers[interaction.guild.id])[0];
+    if (!lfgChannelId) {
       await interaction.editReply({ content: '❌ No LFG channel configured for this server. Run `/pdh-setup` first.' });
       return;
     }
-    const channel = interaction.guild.channels.cache.get(serverConfig.channels.lfg);
+    const channel = interaction.guild.channels.cache.get(lfgChannelId);
     if (!channel) {
       await interaction.editReply({ content: '❌ LFG channel not found. It may have been deleted.' });
       return;
@@ -209,20 +651,105 @@ async function handlePin(interaction, config) {
     // Pin in ALL servers' LFG channels
     let count = 0;
     for (const [guildId, server] of Object.entries(config.servers)) {
-      if (!server.channels.lfg) continue;
       const guild = interaction.client.guilds.cache.get(guildId);
       if (!guild) continue;
-      const channel = guild.channels.cache.get(server.channels.lfg);
-      if (!channel) continue;
-      await postPinnedExplanation(channel);
-      count++;
+      for (const channelId of lfgChannelIds(server)) {
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel) continue;
+        await postPinnedExplanation(channel);
+        count++;
+      }
     }
-    await interaction.editReply({ content: `✅ Pinned LFG explanation in **${count}** server(s).` });
+    await interaction.editReply({ content: `✅ Pinned LFG explanation in **${count}** channel(s).` });
   } else {
     await interaction.editReply({ content: '❌ Unknown channel type.' });
   }
 }
 
+// --- /pdh-deliveries ---
+// Inspect and replay dead letters from the outbound delivery queue
+// (sends that kept failing until they ran out of retries).
+async function handleDeliveries(interaction, config) {
+  if (!isAuthorized(interaction)) {
+    await interaction.reply({ content: 'You don\'t have permission to use this command.', ephemeral: true });
+    return;
+  }
+  const subcommand = interaction.options.getSubcommand();
+  
+  if (subcommand === 'list') {
+    const dead = db.getDeadDeliveries(10);
+    if (dead.length === 0) {
+      await interaction.reply({ content: '✅ No dead letters — every delivery has gone through.', ephemeral: true });
+      return;
+    }
+    const lines = dead.map(job => {
+      const serverName = config.servers[job.guild_id]?.name || job.guild_id;
+      const error = (job.last_error || 'unknown error').substring(0, 80);
+      return `\`#${job.id}\` ${job.channel_type} → **${serverName}** — ${job.attempts} attempt(s)\n└ ${error}`;
+    });
+    const embed = new EmbedBuilder()
+      .setColor(0xED4245)
+      .setTitle('📭 Dead Letters')
+      .setDescription(lines.join('\n'))
+      .setFooter({ text: `${db.countDeadDeliveries()} total • /pdh-deliveries replay to retry` });
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  
+  if (subcommand === 'replay') {
+    const jobId = interaction.options.getInteger('id');
+    const count = db.replayDeadDeliveries(jobId);
+    if (count === 0) {
+      await interaction.reply({ content: jobId ? `❌ No dead letter with ID #${jobId}.` : '✅ No dead letters to replay.', ephemeral: true });
+      return;
+    }
+    // Kick the worker so the replay happens now, not on the next tick
+    const { processDueDeliveries } = require('../delivery');
+    processDueDeliveries();
+    await interaction.reply({ content: `🔁 Re-queued **${count}** delivery job(s).`, ephemeral: true });
+    console.log(`[Admin] ${interaction.user.username} replayed ${count} dead letter(s)`);
+  }
+}
+
+// --- /pdh-direction ---
+// Make one of this server's bridged channels send-only, receive-only,
+// or back to both ways. Per server, per channel type, per network.
+async function handleDirection(interaction, config) {
+  if (!isAuthorized(interaction)) {
+    await interaction.reply({ content: 'You don\'t have permission to use this command.', ephemeral: true });
+    return;
+  }
+  const { setServer, getChannelType, getNetworkMapping, DIRECTIONS, MAIN_NETWORK } = require('../config');
+  
+  const channelType = interaction.options.getString('type');
+  const direction = interaction.options.getString('direction');
+  const network = interaction.options.getString('network') || MAIN_NETWORK;
+  
+  const typeConfig = getChannelType(config, channelType);
+  if (!typeConfig || !DIRECTIONS.includes(direction)) {
+    await interaction.reply({ content: '❌ Unknown channel type or direction.', ephemeral: true });
+    return;
+  }
+  
+  const server = config.servers[interaction.guild.id];
+  const mapping = getNetworkMapping(server, network);
+  if (!mapping?.channels[channelType]) {
+    await interaction.reply({ content: `❌ This server has no ${typeConfig.label} channel in that network. Run \`/pdh-setup\` first.`, ephemeral: true });
+    return;
+  }
+  
+  mapping.directions = { ...mapping.directions, [channelType]: direction };
+  setServer(config, interaction.guild.id, server);
+  
+  const descriptions = {
+    both: 'sends and receives messages',
+    send: 'sends messages out, but receives nothing',
+    receive: 'receives messages, but its own posts stay on this server',
+  };
+  await interaction.reply({ content: `✅ ${typeConfig.emoji} ${typeConfig.label} ${descriptions[direction]}.`, ephemeral: true });
+  console.log(`[Admin] ${interaction.user.username} set ${channelType} direction to ${direction} on ${interaction.guild.name}`);
+}
+
 // =============================================================
 // HELPERS
 // =============================================================
@@ -237,6 +764,37 @@ function isOwner(interaction) {
   return interaction.user.id === env.ownerId;
 }
 
+/**
+ * The strike ladder as readable lines, with repeated steps grouped:
+ * "Strike 1 — warning", "Strikes 2-4 — 1 week suspension", "Strike 5+ — permanent ban".
+ */
+function describeStrikeLadder(settings) {
+  const { getStrikeStep } = require('../config');
+  const last = Math.max(settings.strikeLadder.length, settings.strikeBanAt || 0);
+  
+  const groups = [];
+  for (let strike = 1; strike <= last; strike++) {
+    const step = getStrikeStep(settings, strike);
+    const previous = groups[groups.length - 1];
+    if (previous && previous.step.type === step.type && previous.step.days === step.days) {
+      previous.to = strike;
+    } else {
+      groups.push({ from: strike, to: strike, step });
+    }
+    if (step.type === 'permanent') break;
+  }
+  
+  return groups.map(({ from, to, step }, i) => {
+    const isLast = i === groups.length - 1;
+    const strikes = isLast ? `Strike${from === to ? '' : 's'} ${from}+`
+      : from === to ? `Strike ${from}` : `Strikes ${from}-${to}`;
+    const penalty = step.type === 'warning' ? 'warning'
+      : step.type === 'permanent' ? 'permanent ban'
+      : `${step.duration} suspension`;
+    return `**${strikes}** — ${penalty}`;
+  }).join('\n');
+}
+
 function getStatusText(user) {
   if (user.permanent_ban) return '🚫 Permanently Banned';
   if (user.suspended_until) {
@@ -250,5 +808,6 @@ function getStatusText(user) {
 
 module.exports = {
   handleBan, handleUnban, handleStrikes, handleConfig,
-  handleSetup, handleStatus, handlePin,
+  handleSetup, handleStatus, handlePin, handleDeliveries, handleDirection, handleModLog,
+  handleFilter, isAuthorized,
 };
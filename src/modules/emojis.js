@@ -0,0 +1,111 @@
+// =============================================================
+// emojis.js - Bot-owned cache of foreign custom emojis
+// =============================================================
+// A custom emoji like <:goblin:123> only shows up if the emoji is
+// available where it's displayed. Emojis from the sender's own
+// server are fine, but Nitro users can post emojis from ANY server,
+// and those would show up broken on the rest of the bridge.
+//
+// Instead of reducing them to ":goblin:" text, the bot uploads its
+// own copy as an "application emoji" (emojis owned by the bot
+// itself, usable everywhere it posts) and swaps the ID in the
+// relayed message. The copies are remembered in the emoji_cache
+// table, so each emoji is only uploaded once.
+//
+// LEARNING NOTE ON LRU CACHES:
+// A bot can own at most 2000 application emojis. When the cache is
+// full, we delete the emoji that was "least recently used" (LRU) —
+// the one nobody has posted for the longest time. Popular emojis
+// stay, one-offs make room for new ones.
+// =============================================================
+
+const db = require('../database');
+
+// Discord allows 2000 application emojis; leave a little headroom
+const MAX_CACHED_EMOJIS = 1900;
+
+// Uploading is slow and rate-limited, so a single message can only
+// add this many new emojis. The rest fall back to :name: text.
+const MAX_UPLOADS_PER_MESSAGE = 3;
+
+const CUSTOM_EMOJI_REGEX = /<(a?):(\w+):(\d+)>/g;
+
+// Uploads in progress, keyed by source emoji ID, so two messages
+// with the same new emoji don't upload it twice
+const uploadsInProgress = new Map();
+
+/**
+ * Make sure every foreign custom emoji in a message has a bot-owned
+ * copy. Emojis from `guild` (the sender's server) are left alone.
+ * Failures are logged and ignored: the emoji just falls back to text.
+ */
+async function cacheForeignEmojis(content, guild) {
+  if (!content || !guild) return;
+
+  const foreign = [...content.matchAll(CUSTOM_EMOJI_REGEX)]
+    .map(([, animated, name, id]) => ({ animated: animated === 'a', name, id }))
+    .filter(emoji => !guild.emojis.cache.has(emoji.id) && !db.getCachedEmoji(emoji.id));
+
+  const unique = foreign
+    .filter((emoji, i) => foreign.findIndex(e => e.id === emoji.id) === i)
+    .slice(0, MAX_UPLOADS_PER_MESSAGE);
+  await Promise.allSettled(unique.map(emoji => uploadEmoji(guild.client, emoji)));
+}
+
+/**
+ * The bot-owned replacement for a foreign emoji (e.g. "<:goblin_4f2a1c:999>"),
+ * or null if there isn't one.
+ */
+function getCachedEmojiMarkdown(sourceEmojiId) {
+  const cached = db.getCachedEmoji(sourceEmojiId);
+  if (!cached) return null;
+  db.touchCachedEmoji(sourceEmojiId);
+  return `<${cached.animated ? 'a' : ''}:${cached.name}:${cached.app_emoji_id}>`;
+}
+
+async function uploadEmoji(client, emoji) {
+  if (uploadsInProgress.has(emoji.id)) return uploadsInProgress.get(emoji.id);
+
+  const upload = (async () => {
+    try {
+      await makeRoom(client);
+
+      // Application emoji names must be unique, so add part of the ID
+      const name = `${emoji.name.substring(0, 24)}_${emoji.id.slice(-6)}`;
+      const extension = emoji.animated ? 'gif' : 'png';
+      const created = await client.application.emojis.create({
+        attachment: `https://cdn.discordapp.com/emojis/${emoji.id}.${extension}`,
+        name,
+      });
+      db.addCachedEmoji(emoji.id, created.id, name, emoji.animated);
+      console.log(`[Emojis] Cached :${emoji.name}: as a bot emoji`);
+    } catch (err) {
+      console.error(`[Emojis] Couldn't cache :${emoji.name}::`, err.message);
+    }
+  })();
+
+  uploadsInProgress.set(emoji.id, upload);
+  try {
+    await upload;
+  } finally {
+    uploadsInProgress.delete(emoji.id);
+  }
+}
+
+/**
+ * Delete the least recently used emojis if the cache is full.
+ */
+async function makeRoom(client) {
+  const overflow = db.countCachedEmojis() - MAX_CACHED_EMOJIS + 1;
+  if (overflow <= 0) return;
+
+  for (const stale of db.getStaleCachedEmojis(overflow)) {
+    await client.application.emojis.delete(stale.app_emoji_id).catch(() => {});
+    db.removeCachedEmoji(stale.source_emoji_id);
+  }
+}
+
+module.exports = {
+  cacheForeignEmojis,
+  getCachedEmojiMarkdown,
+};
@@ -0,0 +1,176 @@
+// =============================================================
+// floodcontrol.js - Bridge-wide slow mode, per user
+// =============================================================
+// Discord's slow mode is set per channel, on each server. Someone
+// on a server without slow mode could still flood every server on
+// the bridge. This limit follows the USER across all servers in a
+// network instead.
+//
+// Messages over the limit aren't deleted — they just stay on the
+// server they were posted on. The user gets one short notice (which
+// deletes itself), and if the network's settings ask for it, enough
+// blocked messages in a short time earn a strike.
+//
+// LEARNING NOTE ON TOKEN BUCKETS:
+// Picture each user holding a bucket of tokens. Relaying a message
+// costs one token, and tokens drip back in at a steady rate
+// (floodMessages every floodWindowSeconds). The bucket only holds
+// floodBurst tokens, so someone who's been quiet can fire off a few
+// messages in a row, but nobody can keep up a fast pace for long.
+// =============================================================
+
+const db = require('../database');
+const { buildStrikeDM } = require('./moderation');
+const { buildAppealRow } = require('./appeals');
+const { logStrike } = require('./modlog');
+
+// How long the "slow down" notice stays up
+const NOTICE_SECONDS = 10;
+
+// Blocked messages older than this no longer count toward a strike
+const VIOLATION_MEMORY_MS = 10 * 60 * 1000;
+
+// Forget users who've been idle this long (their bucket is full again)
+const IDLE_BUCKET_MS = 60 * 60 * 1000;
+
+// "network:userId" → { tokens, updatedAt, notified, violations }
+// (userId is a platform user ID like "libera:alice" for other platforms)
+const buckets = new Map();
+let lastPrune = Date.now();
+
+/**
+ * Spend one of the user's tokens for this message.
+ * Returns true if it may be relayed, false if it stays local.
+ *
+ * @param {Message} message - The message about to be relayed
+ * @param {Object} channelInfo - { channelType, network } from identifyChannel
+ * @param {Object} settings - The network's settings (see getNetworkSettings)
+ */
+async function checkFloodLimit(message, { channelType, network }, settings) {
+  const verdict = spendToken(`${network}:${message.author.id}`, settings);
+  if (verdict.allowed) return true;
+
+  if (verdict.notify) await sendNotice(message);
+  if (verdict.strike) await strikeForFlooding(message, channelType, network, settings);
+  return false;
+}
+
+/**
+ * checkFloodLimit for a message from another chat platform (see
+ * src/adapters/). The bucket is keyed on the platform user ID, so an
+ * IRC user gets the same limit as everyone else. Notices go out
+ * privately through the adapter, since there's nothing to reply to.
+ *
+ * @param {Object} inbound - The message, as handed over by the adapter
+ * @param {Object} endpoint - The endpoint it was posted in
+ */
+async function checkExternalFloodLimit(inbound, endpoint, network, settings) {
+  const verdict = spendToken(`${network}:${inbound.userId}`, settings);
+  if (verdict.allowed) return true;
+
+  const { userId, username, content } = inbound;
+  try {
+    if (verdict.notify) {
+      await inbound.notify?.(`⏳ Slow down a little! You're posting faster than the bridge allows, so your messages aren't being relayed for now.`);
+    }
+    if (verdict.strike) {
+      const result = db.addStrike(userId, username, endpoint.channelType, endpoint.id, `[flooding] ${content}`, settings);
+      console.log(`[FloodControl] Strike ${result.strikeCount} for ${userId} (repeated flooding)`);
+      logStrike({
+        userId, username, guildId: endpoint.id, network, channelType: endpoint.channelType,
+        excerpt: content, reason: 'Slow mode (repeated flooding)',
+      }, result).catch(err => console.error('[ModLog] Failed to log strike:', err.message));
+      await inbound.notify?.(buildStrikeDM(username, result, 'flooding', false));
+    }
+  } catch (err) {
+    console.log(`[FloodControl] Couldn't notify ${userId} on ${endpoint.id}`);
+  }
+  return false;
+}
+
+/**
+ * The token bucket itself, shared by Discord and other platforms.
+ * Returns { allowed } and, for a blocked message, whether to send the
+ * user a notice (once per burst) and whether they've earned a strike.
+ */
+function spendToken(key, settings) {
+  if (!(settings.floodMessages > 0) || !(settings.floodWindowSeconds > 0)) return { allowed: true };
+
+  const now = Date.now();
+  const capacity = Math.max(settings.floodBurst || 1, 1);
+  const refillPerMs = settings.floodMessages / (settings.floodWindowSeconds * 1000);
+
+  const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now, notified: false, violations: [] };
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+  pruneIdleBuckets(now);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    bucket.notified = false;
+    return { allowed: true };
+  }
+
+  bucket.violations = bucket.violations.filter(t => now - t < VIOLATION_MEMORY_MS);
+  bucket.violations.push(now);
+
+  // One notice per burst of blocked messages, not one per message
+  const notify = !bucket.notified;
+  bucket.notified = true;
+
+  const strike = settings.floodStrikeAfter > 0 && bucket.violations.length >= settings.floodStrikeAfter;
+  if (strike) bucket.violations = [];
+
+  return { allowed: false, notify, strike };
+}
+
+/**
+ * A short reply telling the user to slow down. Bots can't send real
+ * ephemeral messages outside of slash commands, so this one deletes
+ * itself after a few seconds instead.
+ */
+async function sendNotice(message) {
+  try {
+    const notice = await message.reply({
+      content: `⏳ Slow down a little! You're posting faster than the bridge allows, so this message stayed on this server only. ` +
+        `*(This notice disappears in ${NOTICE_SECONDS} seconds.)*`,
+      allowedMentions: { repliedUser: true },
+    });
+    setTimeout(() => notice.delete().catch(() => {}), NOTICE_SECONDS * 1000);
+  } catch (err) {
+    console.log(`[FloodControl] Couldn't send notice in ${message.guild.name} - missing permissions?`);
+  }
+}
+
+async function strikeForFlooding(message, channelType, network, settings) {
+  const username = message.author.displayName || message.author.username;
+  const result = db.addStrike(message.author.id, username, channelType, message.guild.id, `[flooding] ${message.content}`, settings);
+  console.log(`[FloodControl] Strike ${result.strikeCount} for ${username} (repeated flooding)`);
+  logStrike({
+    userId: message.author.id, username, guildId: message.guild.id, network, channelType,
+    excerpt: message.content, reason: 'Slow mode (repeated flooding)',
+  }, result).catch(err => console.error('[ModLog] Failed to log strike:', err.message));
+
+  try {
+    await message.author.send({
+      content: buildStrikeDM(username, result, 'flooding'),
+      components: [buildAppealRow(result.strikeId)],
+    });
+  } catch (err) {
+    console.log(`[FloodControl] Couldn't DM user ${username} - DMs may be disabled`);
+  }
+}
+
+function pruneIdleBuckets(now) {
+  if (now - lastPrune < IDLE_BUCKET_MS) return;
+  lastPrune = now;
+  for (const [key, bucket] of buckets) {
+    if (now - bucket.updatedAt > IDLE_BUCKET_MS) buckets.delete(key);
+  }
+}
+
+module.exports = {
+  checkFloodLimit,
+  checkExternalFloodLimit,
+};
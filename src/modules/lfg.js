@@ -32,7 +32,7 @@ const {
 const { broadcastEmbed, deleteAcrossServers } = require('../bridge');
 const db = require('../database');
 const { createConvokeRoom } = require('./convoke');
-const { env } = require('../config');
+const { env, identifyChannel, getServerNetworks, getNetworkMapping, getNetworkSettings, MAIN_NETWORK } = require('../config');
 
 // =============================================================
 // DISPLAY NAMES for game types
@@ -141,9 +141,10 @@ async function handleLfgModalSubmit(interaction, config) {
 
 async function createAndBroadcastLfg(interaction, config, gameType, notes) {
   const maxPlayers = 4; // Always 4 for PDH
+  const network = resolveLfgNetwork(config, interaction);
   
   // Calculate expiry time
-  const expiryMinutes = config.settings.lfgExpiryMinutes || 60;
+  const expiryMinutes = getNetworkSettings(config, network).lfgExpiryMinutes || 60;
   const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000).toISOString();
   
   const creatorName = interaction.user.displayName || interaction.user.username;
@@ -155,7 +156,8 @@ async function createAndBroadcastLfg(interaction, config, gameType, notes) {
     gameType,
     notes,
     maxPlayers,
-    expiresAt
+    expiresAt,
+    network
   );
   
   // Build the embed
@@ -175,34 +177,48 @@ async function createAndBroadcastLfg(interaction, config, gameType, notes) {
   
   // Acknowledge immediately (Discord gives us 3 seconds to respond)
   await interaction.reply({
-    content: `${GAME_TYPE_EMOJI[gameType]} Your **${GAME_TYPE_DISPLAY[gameType]}** post is being broadcast to all PDH servers!`,
+    content: `${GAME_TYPE_EMOJI[gameType]} Your **${GAME_TYPE_DISPLAY[gameType]}** post is being broadcast to all ${config.networks[network]?.name || 'PDH'} servers!`,
     ephemeral: true,
   });
   
-  // Broadcast to ALL servers (including this one)
+  // Broadcast to ALL servers in the network (including this one)
   // NOTE: We do NOT pass includeSource or excludeGuildId here.
   // getRelayTargets() returns ALL configured servers by default,
   // which includes the server where /lfg was used. The earlier
   // bug was that includeSource ADDED the host server a second time
   // on top of it already being in the list — causing double posts.
   try {
+    // lfgPostId makes the delivery queue record every message ID that
+    // actually lands, so we can delete across all servers later
     const results = await broadcastEmbed(config, 'lfg', embed, {
       username: 'PDH LFG',
       pingRole: true,
       components: [buttons],
+      lfgPostId,
+      network,
+      sourceGuildId: interaction.guildId,
     });
     
-    // Track every message ID so we can delete across all servers later
-    for (const result of results) {
-      db.addLfgMessage(lfgPostId, result.guildId, result.channelId, result.messageId);
-    }
-    
     console.log(`[LFG] Post #${lfgPostId} (${GAME_TYPE_DISPLAY[gameType]}) broadcast to ${results.length} servers`);
   } catch (err) {
     console.error('[LFG] Failed to broadcast:', err.message);
   }
 }
 
+/**
+ * Work out which network an LFG post belongs to: the network of the
+ * channel /lfg was used in, or else the first network where this
+ * server has an LFG channel. Falls back to the main network.
+ */
+function resolveLfgNetwork(config, interaction) {
+  const channelInfo = identifyChannel(config, interaction.guildId, interaction.channelId);
+  if (channelInfo) return channelInfo.network;
+  
+  const server = config.servers[interaction.guildId];
+  const withLfg = server && getServerNetworks(config, server).find(([, mapping]) => mapping.channels.lfg);
+  return withLfg ? withLfg[0] : MAIN_NETWORK;
+}
+
 // =============================================================
 // STEP 4: Handle Join / Leave / Cancel button clicks
 // =============================================================
@@ -558,7 +574,8 @@ async function updateAllLfgEmbeds(client, postId, config) {
   const results = await Promise.allSettled(
     messages.map(async ({ guildId, channelId, messageId }) => {
       // Look up this server's webhook URL from the config
-      const serverConfig = config?.servers?.[guildId];
+      // (in the network the post was broadcast in)
+      const serverConfig = getNetworkMapping(config?.servers?.[guildId], post.network);
       const webhookUrl = serverConfig?.webhooks?.lfg;
       
       if (!webhookUrl) {
@@ -13,36 +13,73 @@
 
 const Filter = require('bad-words');
 const db = require('../database');
+const { cacheForeignEmojis, getCachedEmojiMarkdown } = require('./emojis');
+const { buildAppealRow } = require('./appeals');
+const { logStrike, logModAction } = require('./modlog');
 
-// Initialize the profanity filter with default English word list
-// You can customize this by adding/removing words
-const filter = new Filter();
+// The network-wide profanity filter: the default English word list,
+// plus the custom terms added with /pdh-filter
+let filter = new Filter();
 
-// Add any additional words specific to your community
-// filter.addWords('customword1', 'customword2');
+// Server ID → a filter holding only that server's extra blocked terms
+let localFilters = new Map();
 
-// Remove words you consider acceptable (if any)
-// filter.removeWords('damn', 'hell');
+/**
+ * (Re)build the filters from the custom word lists in the database.
+ * Called at startup and after every /pdh-filter change, so changes
+ * apply to the next message without a restart.
+ *
+ * LEARNING NOTE: bad-words calls its block list "words" (addWords) and
+ * its allow list "exclude" (removeWords). Allowed terms only apply to
+ * the network filter: a server can add blocked terms for its own
+ * posts, but not unblock anything for the whole bridge.
+ */
+function loadFilterWords() {
+  const networkFilter = new Filter();
+  const serverFilters = new Map();
+
+  for (const entry of db.getFilterWords()) {
+    if (entry.guild_id) {
+      if (!serverFilters.has(entry.guild_id)) serverFilters.set(entry.guild_id, new Filter({ emptyList: true }));
+      serverFilters.get(entry.guild_id).addWords(entry.term);
+    } else if (entry.list === 'allow') {
+      networkFilter.removeWords(entry.term);
+    } else {
+      networkFilter.addWords(entry.term);
+    }
+  }
+
+  filter = networkFilter;
+  localFilters = serverFilters;
+}
 
 /**
  * Check if a message contains profanity.
- * Returns { isProfane: boolean, cleaned: string }
+ * Returns { isProfane: boolean, blockedLocally: boolean, cleaned: string }
+ *
+ * Pass the server a message was posted on to also check that
+ * server's own blocked terms. Those are reported separately
+ * (blockedLocally), since they only keep a post from being relayed:
+ * one server's list shouldn't hand out strikes for the whole bridge.
  * 
  * LEARNING NOTE: The bad-words library works by checking each word
  * against a dictionary. It also catches common evasion tricks like
  * replacing letters with symbols (f*ck, sh!t, etc.) though no
  * filter is 100% perfect.
  */
-function checkProfanity(content) {
+function checkProfanity(content, guildId = null) {
+  const localFilter = guildId ? localFilters.get(guildId) : null;
   try {
     const isProfane = filter.isProfane(content);
-    const cleaned = filter.clean(content); // Replaces bad words with ****
-    return { isProfane, cleaned };
+    const blockedLocally = !isProfane && !!localFilter?.isProfane(content);
+    let cleaned = filter.clean(content); // Replaces bad words with ****
+    if (localFilter) cleaned = localFilter.clean(cleaned);
+    return { isProfane, blockedLocally, cleaned };
   } catch (err) {
     // If the filter errors, let the message through (fail open)
     // We don't want the bot to break because of an edge case
     console.error('[Moderation] Profanity check error:', err.message);
-    return { isProfane: false, cleaned: content };
+    return { isProfane: false, blockedLocally: false, cleaned: content };
   }
 }
 
@@ -56,25 +93,48 @@ function containsLinks(content) {
 }
 
 /**
- * Strip all mentions from a message to prevent cross-server pinging.
- * This is crucial for the Discussion channel.
+ * Turn mentions into plain, readable text so they can't ping anyone
+ * on other servers. This is crucial for the Discussion channel.
+ *
+ *   <@123> / <@!123>  →  @Alice       (the member's display name)
+ *   <@&456>           →  @Moderators  (the role's name)
+ *   <#789>            →  #general     (the channel's name)
+ *
+ * Names are looked up on the server the message came from (`guild`).
+ * If a name can't be found, a generic @user / @role / #channel is used.
  * 
  * LEARNING NOTE: Regular expressions (regex) are patterns for matching
  * text. They look cryptic at first, but they're incredibly powerful.
  * 
  * /@everyone/g   - matches the literal text "@everyone" globally (all occurrences)
- * /<@&\d+>/g     - matches role mentions like <@&123456789>
- * /<@!?\d+>/g    - matches user mentions like <@123456789> or <@!123456789>
+ * /<@&(\d+)>/g   - matches role mentions like <@&123456789>, capturing the ID
+ * /<@!?(\d+)>/g  - matches user mentions like <@123456789> or <@!123456789>
  * 
  * The \u200b is a "zero-width space" - an invisible character that
  * breaks the mention syntax so Discord doesn't actually ping anyone.
+ * It runs AFTER the names are filled in, so a role or user literally
+ * called "everyone" can't sneak a ping through either.
  */
-function stripMentions(content) {
+function stripMentions(content, guild = null) {
   return content
+    // (the @everyone role's name already starts with "@")
+    .replace(/<@&(\d+)>/g, (match, id) => `@${guild?.roles.cache.get(id)?.name.replace(/^@/, '') || 'role'}`)
+    .replace(/<@!?(\d+)>/g, (match, id) => resolveMentionName(guild, id) || '@user')
+    .replace(/<#(\d+)>/g, (match, id) => `#${guild?.client.channels.cache.get(id)?.name || 'channel'}`)
     .replace(/@everyone/g, '@\u200beveryone')
-    .replace(/@here/g, '@\u200bhere')
-    .replace(/<@&\d+>/g, '[role]')    // Role mentions
-    .replace(/<@!?\d+>/g, '[user]');  // User mentions
+    .replace(/@here/g, '@\u200bhere');
+}
+
+/**
+ * The plain-text form of a user mention: "@" + their display name on
+ * the server the message came from, or null if we don't know them.
+ * Shared with bridge.js, which looks for this exact text when turning
+ * it back into a real mention on servers that opted in.
+ */
+function resolveMentionName(guild, userId) {
+  const name = guild?.members.cache.get(userId)?.displayName
+    || guild?.client.users.cache.get(userId)?.displayName;
+  return name ? `@${name}` : null;
 }
 
 /**
@@ -87,6 +147,8 @@ function stripLinks(content) {
 /**
  * Strip custom (external) emojis from a message.
  * Custom emojis look like <:name:123456> or <a:name:123456> for animated ones.
+ * Foreign emojis the bot has its own copy of (see emojis.js) are
+ * swapped for that copy instead.
  */
 function stripExternalEmojis(content, guildEmojis) {
   // Match all custom emoji patterns
@@ -95,66 +157,81 @@ function stripExternalEmojis(content, guildEmojis) {
     if (guildEmojis && guildEmojis.has(id)) {
       return match; // Keep local emojis
     }
-    return `:${name}:`; // Replace external emojis with just the name
+    // Use the bot's copy, or else just the name
+    return getCachedEmojiMarkdown(id) || `:${name}:`;
   });
 }
 
 /**
  * Build the DM message to send to a user who received a strike.
- * This is the friendly-but-firm message you described.
+ * This is the friendly-but-firm message you described. What it says
+ * about the penalty comes from the strike ladder step db.addStrike
+ * applied, so the DM always matches what actually happened.
+ *
+ * @param {Object} strikeResult - The result of db.addStrike
+ * @param {string} reason - "language" (profanity filter) or "flooding" (slow mode)
+ * @param {boolean} canAppeal - Whether the DM comes with an Appeal button
+ *   (see appeals.js); messages to other platforms can't have one
  */
-function buildStrikeDM(username, strikeResult) {
-  const { strikeCount, suspendedUntil, actionTaken } = strikeResult;
+function buildStrikeDM(username, strikeResult, reason = 'language', canAppeal = true) {
+  const { strikeCount, suspendedUntil, step } = strikeResult;
   
   let message = `**PDH Bridge Notice**\n\n`;
-  message += `Hi ${username}, your message was flagged for language that doesn't meet our community guidelines. `;
-  message += `Because PDH bridge channels connect multiple Discord servers — some of which are family-friendly `;
-  message += `and encourage teens and kids to participate — we ask everyone to keep things clean. `;
-  message += `Thank you for helping us do that. ❤️\n\n`;
+  if (reason === 'flooding') {
+    message += `Hi ${username}, you kept posting faster than the PDH bridge allows, even after being asked to slow down. `;
+    message += `Every message in a bridge channel goes out to several Discord servers at once, so flooding `;
+    message += `drowns out everyone else's conversation. Thank you for keeping it readable for everyone. ❤️\n\n`;
+  } else {
+    message += `Hi ${username}, your message was flagged for language that doesn't meet our community guidelines. `;
+    message += `Because PDH bridge channels connect multiple Discord servers — some of which are family-friendly `;
+    message += `and encourage teens and kids to participate — we ask everyone to keep things clean. `;
+    message += `Thank you for helping us do that. ❤️\n\n`;
+  }
   
-  if (strikeCount === 1) {
-    message += `📋 **This is a friendly warning** (Strike 1). No action has been taken against your account.\n`;
-    message += `Please be mindful of your language in PDH bridge channels going forward.`;
+  if (step.type === 'warning') {
+    message += `📋 **This is a friendly warning** (Strike ${strikeCount}). No action has been taken against your account.\n`;
+    message += reason === 'flooding'
+      ? `Please slow down in PDH bridge channels going forward.`
+      : `Please be mindful of your language in PDH bridge channels going forward.`;
+  } else if (step.type === 'permanent') {
+    message += `🚫 **Strike ${strikeCount}** — Your messages will no longer be relayed to other PDH servers. `;
+    message += `This ban is permanent.\n\n`;
+    message += `You can still chat locally on your own server — only cross-server relay is affected.`;
   } else {
-    // Calculate the human-readable suspension duration
-    const suspensionText = getSuspensionText(strikeCount);
     const expiryDate = new Date(suspendedUntil);
     const dateString = expiryDate.toLocaleDateString('en-US', { 
       month: 'long', day: 'numeric', year: 'numeric' 
     });
     
-    message += `⚠️ **Strike ${strikeCount}** — Your messages will not be relayed to other PDH servers for **${suspensionText}** `;
+    message += `⚠️ **Strike ${strikeCount}** — Your messages will not be relayed to other PDH servers for **${step.duration}** `;
     message += `(until ${dateString}).\n\n`;
     message += `You can still chat locally on your own server — only cross-server relay is affected.\n`;
     message += `When your suspension ends, please remember to keep things family-friendly.`;
   }
   
-  message += `\n\n*If you believe this was a mistake, please contact a PDH moderator.*`;
+  message += canAppeal
+    ? `\n\n*If you believe this was a mistake, use the Appeal button below.*`
+    : `\n\n*If you believe this was a mistake, please contact a PDH moderator.*`;
   
   return message;
 }
 
-/**
- * Get a human-readable string for the suspension duration.
- */
-function getSuspensionText(strikeCount) {
-  switch (strikeCount) {
-    case 2: return '1 week';
-    case 3: return '1 month';
-    case 4: return '2 months';
-    case 5: return '3 months';
-    default: return `${strikeCount - 2} months`;
-  }
-}
-
 /**
  * Process a message through all moderation checks.
  * Returns { allowed: boolean, cleanedContent: string, reason: string }
  * 
  * This is the main function called by the message handler.
  * Think of it as the bouncer at the door of the bridge.
+ *
+ * @param {Message} message - The Discord.js message
+ * @param {string} channelType - Which bridged channel type it was posted in
+ * @param {Object} rules - Cleanup rules for this channel type
+ * @param {boolean} rules.filterLinks - Remove links
+ * @param {boolean} rules.stripMentions - Neutralize mentions
+ * @param {Object} settings - The network's settings (for the strike ladder)
+ * @param {string} network - The network the channel belongs to (for the mod log)
  */
-async function moderateMessage(message, channelType, filterLinksEnabled) {
+async function moderateMessage(message, channelType, rules = {}, settings = {}, network) {
   const content = message.content;
   const userId = message.author.id;
   const username = message.author.displayName || message.author.username;
@@ -169,16 +246,30 @@ async function moderateMessage(message, channelType, filterLinksEnabled) {
   
   // Check 2: Profanity filter
   if (content && content.length > 0) {
-    const { isProfane } = checkProfanity(content);
+    const { isProfane, blockedLocally } = checkProfanity(content, message.guild.id);
+    
+    // This server's own terms: the post stays here, with no strike
+    if (blockedLocally) {
+      logModAction({
+        kind: 'filter', userId, username, guildId: message.guild.id, network, channelType,
+        excerpt: content, moderator: null, outcome: 'Kept on this server (not relayed)', reason: 'Server filter words',
+      }).catch(err => console.error('[ModLog] Failed to log filter hit:', err.message));
+      return { allowed: false, reason: 'local_filter', cleanedContent: content };
+    }
     
     if (isProfane) {
       // Add a strike
-      const result = db.addStrike(userId, username, channelType, message.guild.id, content);
+      const result = db.addStrike(userId, username, channelType, message.guild.id, content, settings);
+      // Not awaited: the message shouldn't stay up while mod logs are posted
+      logStrike({ userId, username, guildId: message.guild.id, network, channelType, excerpt: content, reason: 'Profanity filter' }, result)
+        .catch(err => console.error('[ModLog] Failed to log strike:', err.message));
       
       // Try to DM the user
       try {
-        const dmMessage = buildStrikeDM(username, result);
-        await message.author.send(dmMessage);
+        await message.author.send({
+          content: buildStrikeDM(username, result),
+          components: [buildAppealRow(result.strikeId)],
+        });
       } catch (err) {
         // User has DMs disabled - we can't reach them
         // The message still gets blocked from relay
@@ -196,27 +287,91 @@ async function moderateMessage(message, channelType, filterLinksEnabled) {
     }
   }
   
+  // Checks 3-5: Links, mentions, emojis
+  const cleanedContent = await cleanContent(content, message.guild, rules);
+  if (rules.filterLinks && containsLinks(content)) {
+    logModAction({
+      kind: 'filter', userId, username, guildId: message.guild.id, network, channelType,
+      excerpt: content, moderator: null, outcome: 'Links removed before relaying', reason: 'Link filter',
+    }).catch(err => console.error('[ModLog] Failed to log filter hit:', err.message));
+  }
+  
+  return { allowed: true, reason: null, cleanedContent };
+}
+
+/**
+ * moderateMessage for a message from another chat platform (see
+ * src/adapters/). Same checks, but the strike is stored under the
+ * platform user ID (e.g. "libera:alice") and the endpoint ID stands in
+ * for the server. We can't delete the original there, so it simply
+ * isn't relayed.
+ *
+ * @param {Object} inbound - The message, as handed over by the adapter
+ * @param {string} endpointId - Which endpoint it was posted in
+ */
+async function moderateExternalMessage(inbound, channelType, endpointId, rules = {}, settings = {}, network) {
+  const { userId, username, content } = inbound;
+
+  if (db.isUserSuspended(userId)) {
+    return { allowed: false, reason: 'user_suspended', cleanedContent: content };
+  }
+
+  if (content && checkProfanity(content).isProfane) {
+    const result = db.addStrike(userId, username, channelType, endpointId, content, settings);
+    logStrike({ userId, username, guildId: endpointId, network, channelType, excerpt: content, reason: 'Profanity filter' }, result)
+      .catch(err => console.error('[ModLog] Failed to log strike:', err.message));
+    try {
+      await inbound.notify?.(buildStrikeDM(username, result, 'language', false));
+    } catch (err) {
+      console.log(`[Moderation] Couldn't notify ${userId} on ${endpointId}`);
+    }
+    return { allowed: false, reason: 'profanity', cleanedContent: content };
+  }
+
+  // No server to resolve mentions or keep emojis against
+  const cleanedContent = await cleanContent(content, null, rules);
+  if (rules.filterLinks && containsLinks(content)) {
+    logModAction({
+      kind: 'filter', userId, username, guildId: endpointId, network, channelType,
+      excerpt: content, moderator: null, outcome: 'Links removed before relaying', reason: 'Link filter',
+    }).catch(err => console.error('[ModLog] Failed to log filter hit:', err.message));
+  }
+  return { allowed: true, reason: null, cleanedContent };
+}
+
+/**
+ * The cleanup half of moderation (no profanity check, no strikes).
+ * Also used on its own for unmoderated channel types that still
+ * want mentions or links stripped. `guild` is null for messages from
+ * other platforms.
+ */
+async function cleanContent(content, guild, rules = {}) {
   // Check 3: Link filter (if enabled)
   let cleanedContent = content;
-  if (filterLinksEnabled && containsLinks(content)) {
+  if (rules.filterLinks && containsLinks(content)) {
     cleanedContent = stripLinks(content);
   }
   
-  // Check 4: Strip mentions (always on for Discussion)
-  if (channelType === 'discussion') {
-    cleanedContent = stripMentions(cleanedContent);
+  // Check 4: Turn mentions into plain names (if this channel type asks for it)
+  if (rules.stripMentions) {
+    cleanedContent = stripMentions(cleanedContent, guild);
   }
   
-  // Check 5: Strip external emojis (always on)
-  cleanedContent = stripExternalEmojis(cleanedContent, message.guild.emojis.cache);
+  // Check 5: Swap out external emojis (always on)
+  await cacheForeignEmojis(cleanedContent, guild);
+  cleanedContent = stripExternalEmojis(cleanedContent, guild?.emojis.cache);
   
-  return { allowed: true, reason: null, cleanedContent };
+  return cleanedContent;
 }
 
 module.exports = {
   moderateMessage,
+  moderateExternalMessage,
+  cleanContent,
   checkProfanity,
+  loadFilterWords,
   stripMentions,
+  resolveMentionName,
   stripLinks,
   stripExternalEmojis,
   buildStrikeDM,
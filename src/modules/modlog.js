@@ -0,0 +1,165 @@
+// =============================================================
+// modlog.js - Moderation log channels
+// =============================================================
+// Each server can pick a channel (/pdh-modlog) where the bot posts
+// an embed for every moderation action: strikes, suspensions, bans,
+// unbans, appeal decisions and filter hits. A server chooses between:
+//
+//   network - actions from every server in the same bridge network(s),
+//             so admins hear about a troublemaker before they reach
+//             their server. Independent networks never see each other's.
+//   local   - only actions that started on this server
+//
+// LEARNING NOTE: Moderation happens in several modules (moderation.js,
+// floodcontrol.js, commands.js, appeals.js), and most of them don't
+// have the bridge config at hand. Like the delivery worker, this
+// module is given a way to get the current config and client once at
+// startup (startModLog), so anything can call logModAction().
+// =============================================================
+
+const { EmbedBuilder } = require('discord.js');
+const { getServerNetworks, MAIN_NETWORK } = require('../config');
+const { truncate } = require('./shaping');
+
+const MODLOG_SCOPES = ['network', 'local'];
+
+// How much of the flagged message to show
+const MAX_EXCERPT_LENGTH = 300;
+
+const KIND_DISPLAY = {
+  strike: { title: '⚠️ Strike', color: 0xFEE75C },
+  suspension: { title: '⏸️ Suspension', color: 0xE67E22 },
+  ban: { title: '🚫 Ban', color: 0xED4245 },
+  unban: { title: '✅ Unban', color: 0x57F287 },
+  appeal: { title: '📝 Appeal decided', color: 0x5865F2 },
+  filter: { title: '🧹 Filter hit', color: 0x95A5A6 },
+};
+
+let client = null;
+let getConfig = () => null;
+
+/**
+ * Called once the bot is ready. getCurrentConfig is a function so
+ * config reloads (after /pdh-setup) are picked up.
+ */
+function startModLog(readyClient, getCurrentConfig) {
+  client = readyClient;
+  getConfig = getCurrentConfig;
+}
+
+/**
+ * Post one moderation action to every mod-log channel that wants it.
+ * A missing channel or permission just skips that server. Moderation
+ * code doesn't wait for this: the delete and the DM come first.
+ *
+ * @param {Object} event
+ * @param {string} event.kind - strike, suspension, ban, unban, appeal or filter
+ * @param {string} event.userId - Who the action was taken against
+ * @param {string} event.username
+ * @param {string} event.guildId - Where it happened (or an endpoint ID for
+ *                                 other platforms, or null if nowhere in particular)
+ * @param {string} event.network - Which bridge network it happened in, if known
+ *                                 (otherwise the origin's networks are used)
+ * @param {string} event.channelType - Which bridged channel type, if any
+ * @param {string} event.excerpt - The flagged message, if any
+ * @param {Object} event.moderator - { id, username }, or null if automatic
+ * @param {string} event.outcome - What happened, e.g. "Strike 2 — 3 days suspension"
+ * @param {string} event.reason - Why (trigger or moderator's reason), if known
+ */
+async function logModAction(event) {
+  const config = getConfig();
+  if (!client || !config) return;
+
+  const networks = getEventNetworks(config, event);
+  const subscribers = Object.entries(config.servers).filter(([guildId, server]) => {
+    if (!server.modLog?.channelId) return false;
+    if (guildId === event.guildId) return true;
+    return server.modLog.scope === 'network'
+      && getBridgedNetworks(config, server).some(network => networks.includes(network));
+  });
+  if (subscribers.length === 0) return;
+
+  const embed = buildModLogEmbed(config, event);
+  await Promise.allSettled(subscribers.map(async ([guildId, server]) => {
+    const channel = client.channels.cache.get(server.modLog.channelId);
+    if (!channel) return;
+    try {
+      await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+    } catch (err) {
+      console.log(`[ModLog] Couldn't post in ${server.name || guildId} - missing permissions?`);
+    }
+  }));
+}
+
+/**
+ * Log a strike given by the bot, as a strike, suspension or ban
+ * depending on the ladder step it triggered.
+ *
+ * @param {Object} event - As for logModAction, without kind/outcome/moderator
+ * @param {Object} strikeResult - The result of db.addStrike
+ */
+function logStrike(event, strikeResult) {
+  const { step, strikeCount } = strikeResult;
+  const kind = step.type === 'permanent' ? 'ban' : step.type === 'suspension' ? 'suspension' : 'strike';
+  const penalty = step.type === 'permanent' ? 'permanent ban'
+    : step.type === 'suspension' ? `${step.duration} suspension`
+    : 'warning';
+  return logModAction({ ...event, kind, moderator: null, outcome: `Strike ${strikeCount} — ${penalty}` });
+}
+
+/**
+ * The networks an action belongs to: the one it happened in, or else
+ * every network its origin server (or endpoint) is part of. Actions
+ * with no origin at all (a ban appeal) belong to the main network.
+ */
+function getEventNetworks(config, event) {
+  if (event.network) return [event.network];
+  const server = config.servers[event.guildId];
+  if (server) return getBridgedNetworks(config, server);
+  const endpoint = config.endpoints?.[event.guildId];
+  return [endpoint?.network || MAIN_NETWORK];
+}
+
+/**
+ * The networks a server has at least one bridged channel in. (A
+ * server that only joined another network still has an empty
+ * "channels" entry for the main one.)
+ */
+function getBridgedNetworks(config, server) {
+  return getServerNetworks(config, server)
+    .filter(([, mapping]) => Object.keys(mapping.channels).length > 0)
+    .map(([network]) => network);
+}
+
+function buildModLogEmbed(config, event) {
+  const display = KIND_DISPLAY[event.kind] || KIND_DISPLAY.filter;
+  // Discord users can be mentioned; other platforms' IDs ("libera:alice") can't
+  const user = /^\d+$/.test(event.userId) ? `<@${event.userId}> (${event.username})` : event.username;
+  const origin = event.guildId
+    ? config.servers[event.guildId]?.name || config.endpoints?.[event.guildId]?.name || event.guildId
+    : '—';
+
+  const embed = new EmbedBuilder()
+    .setColor(display.color)
+    .setTitle(display.title)
+    .addFields(
+      { name: 'User', value: `${user}\n\`${event.userId}\``, inline: true },
+      { name: 'Origin Server', value: origin, inline: true },
+      { name: 'Channel Type', value: event.channelType || '—', inline: true },
+      { name: 'Moderator', value: event.moderator ? `<@${event.moderator.id}> (${event.moderator.username})` : 'Automatic', inline: true },
+    )
+    .setTimestamp();
+
+  if (event.outcome) embed.setDescription(event.outcome);
+  if (event.reason) embed.addFields({ name: 'Reason', value: truncate(event.reason, 1024) });
+  // Spoilered, so mod channels on family-friendly servers stay clean
+  if (event.excerpt) embed.addFields({ name: 'Flagged Excerpt', value: `||${truncate(event.excerpt, MAX_EXCERPT_LENGTH)}||` });
+  return embed;
+}
+
+module.exports = {
+  startModLog,
+  logModAction,
+  logStrike,
+  MODLOG_SCOPES,
+};
@@ -17,6 +17,7 @@ const RssParser = require('rss-parser');
 const { EmbedBuilder } = require('discord.js');
 const { broadcastEmbed } = require('../bridge');
 const db = require('../database');
+const { getNetworkSettings } = require('../config');
 
 // LEARNING NOTE: rss-parser doesn't automatically extract all XML
 // fields. We need to tell it about custom fields like media:thumbnail
@@ -130,10 +131,21 @@ async function pollFeed(config, client) {
       
       // Broadcast to all servers' news channels
       try {
-        // Get all servers (we want to post to ALL, no exclusions)
-        await broadcastToAll(config, 'news', embed, client);
+        // No exclusions — news doesn't come from any one server.
+        // Each send is queued, so a server that's down right now
+        // still gets the article once the delivery worker retries.
+        // Networks can opt out with "rssNews": false in their settings.
+        for (const network of Object.keys(config.networks)) {
+          if (!getNetworkSettings(config, network).rssNews) continue;
+          await broadcastEmbed(config, 'news', embed, {
+            username: 'PDH News',
+            pingRole: true, // Ping @news role if configured
+            network,
+            relaySource: getArticleSource(articleUrl, network),
+          });
+        }
         
-        // Mark as seen AFTER successful posting
+        // Mark as seen once it's safely queued
         db.markArticleSeen(articleUrl, item.title || 'Untitled');
         newCount++;
         
@@ -306,44 +318,6 @@ function ensureAbsoluteUrl(url, feed) {
   return url;
 }
 
-/**
- * Broadcast to ALL servers (including the "source" - since news
- * doesn't originate from a user on a server, it goes everywhere).
- */
-async function broadcastToAll(config, channelType, embed, client) {
-  const { WebhookClient } = require('discord.js');
-  
-  const results = [];
-  
-  for (const [guildId, server] of Object.entries(config.servers)) {
-    if (!server.webhooks[channelType]) continue;
-    
-    try {
-      const webhook = new WebhookClient({ url: server.webhooks[channelType] });
-      
-      const payload = {
-        embeds: [embed.toJSON()],
-        username: 'PDH News',
-        allowedMentions: { parse: [] },
-      };
-      
-      // Ping @news role if configured
-      if (server.roles?.news) {
-        payload.content = `<@&${server.roles.news}>`;
-        payload.allowedMentions = { roles: [server.roles.news] };
-      }
-      
-      await webhook.send(payload);
-      results.push({ guildId, success: true });
-    } catch (err) {
-      console.error(`[News] Failed to post to guild ${guildId}:`, err.message);
-      results.push({ guildId, success: false });
-    }
-  }
-  
-  return results;
-}
-
 /**
  * Utility: pause execution for a given number of milliseconds.
  * LEARNING NOTE: This is a common pattern for adding delays.
@@ -353,7 +327,18 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * The relay group an article's copies are recorded under, so reaction
+ * totals add them up like any relayed news post. Articles don't come
+ * from a Discord message, so the "source" is the article itself, on
+ * a server that doesn't exist ("rss") and so is never fetched.
+ */
+function getArticleSource(articleUrl, network) {
+  return { messageId: `rss:${network}:${articleUrl}`, guildId: 'rss', channelId: 'rss', channelType: 'news' };
+}
+
 module.exports = {
   startRssPolling,
   stopRssPolling,
+  getArticleSource,
 };
@@ -0,0 +1,99 @@
+// =============================================================
+// pins.js - Pin and unpin bridged messages everywhere (opt-in)
+// =============================================================
+// When an admin pins a bridged message (a rules clarification, say),
+// the bot pins that message's copies on the other servers too, and
+// unpins them again when it's unpinned.
+//
+// Each server chooses with /pdh-config set pin-sync:
+//   off      - pins here stay here, and nothing is pinned for us (default)
+//   receive  - copies here get pinned/unpinned by trusted servers
+//   trusted  - like receive, and pins made HERE go across the bridge.
+//              Only the bot owner can make a server trusted, since its
+//              admins then decide what's pinned on everyone's server.
+//
+// LEARNING NOTE: Discord only says "the pins in this channel changed",
+// not WHAT changed. So the bot keeps a list of the bridged messages it
+// knows are pinned (the synced_pins table) and compares it with the
+// channel's actual pins to find what was just pinned or unpinned.
+// =============================================================
+
+const { PermissionFlagsBits } = require('discord.js');
+const { identifyChannel } = require('../config');
+const { findCopyInGuild } = require('../bridge');
+const { getBridgeChannelId } = require('./threads');
+const db = require('../database');
+
+const PIN_SYNC_MODES = ['off', 'receive', 'trusted'];
+
+/**
+ * Called when the pins in a channel change. On a trusted server's
+ * bridged channel, works out which bridged messages were pinned or
+ * unpinned and does the same to their copies.
+ */
+async function handlePinsUpdate(config, channel) {
+  if (config.servers[channel.guildId]?.pinSync !== 'trusted') return;
+  if (!identifyChannel(config, channel.guildId, getBridgeChannelId(channel))) return;
+
+  // fetchPins arrived in discord.js 14.22 (the floor in package.json)
+  const { items, hasMore } = await channel.messages.fetchPins();
+  const pinned = items.map(item => item.message.id).filter(id => db.getRelayGroup(id));
+  const known = db.getSyncedPins(channel.id);
+
+  for (const messageId of pinned.filter(id => !known.includes(id))) {
+    db.addSyncedPin(channel.guildId, channel.id, messageId);
+    await syncPin(config, channel, messageId, true);
+  }
+
+  // Only the newest pins come back in one page. With more than that,
+  // a pin we don't see may just be on a later page, so don't guess.
+  if (hasMore) return;
+  for (const messageId of known.filter(id => !pinned.includes(id))) {
+    db.removeSyncedPin(channel.id, messageId);
+    await syncPin(config, channel, messageId, false);
+  }
+}
+
+/**
+ * Pin (or unpin) every other copy of a bridged message, on servers
+ * that accept pin sync and where the bot has Manage Messages.
+ */
+async function syncPin(config, sourceChannel, messageId, pin) {
+  const group = db.getRelayGroup(messageId);
+  if (!group) return;
+
+  const guildIds = new Set([group.source.guildId, ...group.copies.map(c => c.guild_id)]);
+  guildIds.delete(sourceChannel.guildId);
+
+  for (const guildId of guildIds) {
+    if (!['receive', 'trusted'].includes(config.servers[guildId]?.pinSync)) continue;
+
+    const location = findCopyInGuild(group, guildId);
+    const guild = sourceChannel.client.guilds.cache.get(guildId);
+    const channel = guild?.channels.cache.get(location?.channelId);
+    if (!channel?.permissionsFor(guild.members.me)?.has(PermissionFlagsBits.ManageMessages)) continue;
+
+    // Recorded BEFORE pinning, so the pin update this causes on that
+    // server (if it's trusted too) doesn't get sent back around
+    try {
+      if (pin) {
+        db.addSyncedPin(guildId, channel.id, location.messageId);
+        await channel.messages.pin(location.messageId, 'PDH Bridge - pinned on another server');
+      } else {
+        db.removeSyncedPin(channel.id, location.messageId);
+        await channel.messages.unpin(location.messageId, 'PDH Bridge - unpinned on another server');
+      }
+    } catch (err) {
+      if (pin) db.removeSyncedPin(channel.id, location.messageId);
+      console.error(`[Pins] Couldn't ${pin ? 'pin' : 'unpin'} copy in ${guild.name}:`, err.message);
+    }
+  }
+
+  const server = config.servers[sourceChannel.guildId];
+  console.log(`[Pins] ${server?.name || sourceChannel.guildId} ${pin ? 'pinned' : 'unpinned'} message ${messageId}; synced to the bridge`);
+}
+
+module.exports = {
+  handlePinsUpdate,
+  PIN_SYNC_MODES,
+};
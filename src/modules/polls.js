@@ -0,0 +1,115 @@
+// =============================================================
+// polls.js - Network-wide results for relayed polls
+// =============================================================
+// When someone posts a native Discord poll in a bridged channel,
+// bridge.js sends a copy of the poll to every other server. Each
+// copy is its own poll, so people vote on whichever one they see.
+//
+// This module adds the votes from the original and every copy
+// together, and keeps a small bot reply under the ORIGINAL poll up
+// to date with the network-wide results. (The original belongs to
+// the user, so the bot can't edit the poll itself.)
+//
+// Like reaction totals, recounts are debounced: a burst of votes
+// only triggers one recount once things have been quiet for a moment.
+// =============================================================
+
+const db = require('../database');
+const { checkProfanity } = require('./moderation');
+
+// Wait this long after the last vote before recounting
+const DEBOUNCE_MS = 5000;
+
+// source message ID → pending recount timer
+const pendingRecounts = new Map();
+
+/**
+ * Called for every poll vote added or removed, on any server.
+ * Works out whether the poll is a bridged one and schedules a recount.
+ */
+function handlePollVote(client, message) {
+  const group = db.getRelayGroup(message.id);
+  if (!group) return;
+
+  const sourceMessageId = group.source.messageId;
+  clearTimeout(pendingRecounts.get(sourceMessageId));
+  pendingRecounts.set(sourceMessageId, setTimeout(() => {
+    pendingRecounts.delete(sourceMessageId);
+    updatePollTally(client, sourceMessageId).catch(err => {
+      console.error(`[Polls] Tally failed for poll ${sourceMessageId}:`, err.message);
+    });
+  }, DEBOUNCE_MS));
+}
+
+/**
+ * Add up the votes on every copy of a poll and post (or update) the
+ * results reply under the original.
+ */
+async function updatePollTally(client, sourceMessageId) {
+  const group = db.getRelayGroup(sourceMessageId);
+  if (!group) return;
+
+  const original = await fetchMessage(client, group.source);
+  if (!original?.poll) return;
+
+  // Copies were sent with the answers in the same order, so answer
+  // N on a copy is answer N on the original
+  const answers = [...original.poll.answers.values()];
+  const totals = answers.map(answer => answer.voteCount || 0);
+
+  for (const copy of group.copies) {
+    const message = await fetchMessage(client, {
+      guildId: copy.guild_id, channelId: copy.channel_id, messageId: copy.message_id,
+    });
+    if (!message?.poll) continue;
+    [...message.poll.answers.values()].forEach((answer, i) => {
+      if (i < totals.length) totals[i] += answer.voteCount || 0;
+    });
+  }
+
+  const content = formatTally(answers, totals, group.copies.length + 1, group.source.guildId);
+  const existing = db.getPollTally(sourceMessageId);
+
+  if (existing) {
+    const reply = await original.channel.messages.fetch(existing.message_id).catch(() => null);
+    if (reply) {
+      if (reply.content !== content) await reply.edit({ content });
+      return;
+    }
+  }
+
+  const reply = await original.reply({ content, allowedMentions: { parse: [], repliedUser: false } });
+  db.setPollTally(sourceMessageId, reply.channelId, reply.id);
+}
+
+/**
+ * Build the results text, e.g.
+ *   📊 **Votes across PDH** (4 servers)
+ *   Yes — **12** (60%)
+ *   No — **8** (40%)
+ *
+ * Answers are filtered the same way as on the copies (see buildPollPayload
+ * in bridge.js), since this reply is sent by the bot.
+ */
+function formatTally(answers, totals, serverCount, guildId) {
+  const sum = totals.reduce((a, b) => a + b, 0);
+  const lines = answers.map((answer, i) => {
+    const percent = sum > 0 ? Math.round((totals[i] / sum) * 100) : 0;
+    const emoji = answer.emoji && !answer.emoji.id ? `${answer.emoji.name} ` : '';
+    return `${emoji}${checkProfanity(answer.text || '', guildId).cleaned} — **${totals[i]}** (${percent}%)`;
+  });
+  return `📊 **Votes across PDH** (${serverCount} servers)\n${lines.join('\n')}`;
+}
+
+/**
+ * Fetch a message as the bot, with fresh poll results.
+ */
+async function fetchMessage(client, { guildId, channelId, messageId }) {
+  const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+  if (!channel) return null;
+  return channel.messages.fetch({ message: messageId, force: true }).catch(() => null);
+}
+
+module.exports = {
+  handlePollVote,
+};
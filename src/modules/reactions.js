@@ -0,0 +1,149 @@
+// =============================================================
+// reactions.js - Cross-server reaction totals (opt-in)
+// =============================================================
+// Reactions only exist on the message they were added to, so a
+// "+1" on one server is invisible everywhere else. When a server
+// turns on reaction sync, the bot adds up the reactions on every
+// copy of a bridged message and writes the network-wide totals as
+// a small footer line on the webhook copies.
+//
+// Only servers that opted in are counted AND shown the footer.
+// The original message belongs to the user, so the bot can't edit
+// it — the source server sees its own reactions plus the footer on
+// any copies it receives from other servers.
+//
+// LEARNING NOTE ON DEBOUNCING:
+// A popular message can get dozens of reactions in a few seconds.
+// Editing every copy on every single reaction would hit Discord's
+// rate limits fast. Instead we "debounce": each reaction resets a
+// short timer, and we only do the (expensive) recount once things
+// have been quiet for a moment.
+// =============================================================
+
+const { getWebhookClient } = require('../bridge');
+const { scheduleEdit } = require('../scheduler');
+const { identifyChannel, getChannelType } = require('../config');
+const { getBridgeChannelId } = require('./threads');
+const db = require('../database');
+
+// Wait this long after the last reaction before recounting
+const DEBOUNCE_MS = 3000;
+
+// The footer is a Discord "subtext" line (-#) so it stays small
+const FOOTER_PREFIX = '-# Reactions across PDH:';
+const FOOTER_REGEX = /\n?-# Reactions across PDH:.*$/;
+
+// source message ID → pending recount timer
+const pendingRecounts = new Map();
+
+/**
+ * Called for every reaction add/remove. Works out whether the message
+ * is a bridged copy on an opted-in server and schedules a recount.
+ */
+function handleReactionChange(client, config, message) {
+  const channelId = getBridgeChannelId(message.channel) ?? message.channelId;
+  const channelInfo = identifyChannel(config, message.guildId, channelId);
+  // Only channel types that allow it (see the registry in config.js)
+  if (!channelInfo || !getChannelType(config, channelInfo.channelType)?.reactionTotals) return;
+  if (!config.servers[message.guildId]?.reactionSync) return;
+
+  const group = db.getRelayGroup(message.id);
+  if (!group) return;
+
+  scheduleRecount(client, config, group.source.messageId);
+}
+
+/**
+ * Re-apply the totals for a message right away (used after an edit,
+ * which replaces the copy's content and wipes the old footer).
+ */
+function refreshReactionTotals(client, config, sourceMessageId) {
+  if (!db.getRelayGroup(sourceMessageId)) return;
+  scheduleRecount(client, config, sourceMessageId);
+}
+
+function scheduleRecount(client, config, sourceMessageId) {
+  clearTimeout(pendingRecounts.get(sourceMessageId));
+  pendingRecounts.set(sourceMessageId, setTimeout(() => {
+    pendingRecounts.delete(sourceMessageId);
+    recountReactions(client, config, sourceMessageId).catch(err => {
+      console.error(`[Reactions] Recount failed for message ${sourceMessageId}:`, err.message);
+    });
+  }, DEBOUNCE_MS));
+}
+
+/**
+ * Add up reactions on the original and every copy, then write the
+ * totals onto each opted-in copy.
+ */
+async function recountReactions(client, config, sourceMessageId) {
+  const group = db.getRelayGroup(sourceMessageId);
+  if (!group) return;
+
+  const optedIn = guildId => !!config.servers[guildId]?.reactionSync;
+
+  const locations = [group.source, ...group.copies.map(c => ({
+    guildId: c.guild_id, channelId: c.channel_id, messageId: c.message_id,
+  }))].filter(loc => optedIn(loc.guildId));
+
+  // Tally every emoji across all the opted-in copies
+  // Key by emoji ID for custom emojis, by the character for unicode ones
+  const totals = new Map();
+  for (const loc of locations) {
+    const msg = await fetchMessage(client, loc);
+    if (!msg) continue;
+    for (const reaction of msg.reactions.cache.values()) {
+      const key = reaction.emoji.id || reaction.emoji.name;
+      const entry = totals.get(key) || { label: formatEmoji(reaction.emoji), count: 0 };
+      entry.count += reaction.count;
+      totals.set(key, entry);
+    }
+  }
+
+  const footer = totals.size > 0
+    ? `${FOOTER_PREFIX} ${[...totals.values()].map(t => `${t.label} ${t.count}`).join(' · ')}`
+    : '';
+
+  // Write the footer onto each opted-in webhook copy. A message that
+  // was split into parts only gets it on its last part.
+  const isLastPart = copy => !group.copies.some(c => c.guild_id === copy.guild_id && c.part_index > copy.part_index);
+  await Promise.allSettled(
+    group.copies
+      .filter(copy => optedIn(copy.guild_id) && isLastPart(copy))
+      .map(async (copy) => {
+        try {
+          const webhook = getWebhookClient(copy.webhook_url);
+          const threadId = copy.thread_id || undefined;
+          const current = await webhook.fetchMessage(copy.message_id, { threadId });
+          const base = (current.content || '').replace(FOOTER_REGEX, '');
+          const content = footer ? `${base}\n${footer}`.trim() : base;
+          if (content === current.content || content.length > 2000) return;
+          await scheduleEdit(copy.webhook_url, webhook, copy.message_id, { content, threadId, allowedMentions: { parse: [] } });
+        } catch (err) {
+          console.error(`[Reactions] Failed to update totals in guild ${copy.guild_id}:`, err.message);
+        }
+      })
+  );
+}
+
+/**
+ * Fetch a message as the bot (so we can read its reactions).
+ */
+async function fetchMessage(client, { guildId, channelId, messageId }) {
+  const channel = client.guilds.cache.get(guildId)?.channels.cache.get(channelId);
+  if (!channel) return null;
+  return channel.messages.fetch(messageId).catch(() => null);
+}
+
+/**
+ * Custom emojis only render on servers that have them, so show those
+ * by name. Unicode emojis work everywhere.
+ */
+function formatEmoji(emoji) {
+  return emoji.id ? `:${emoji.name}:` : emoji.name;
+}
+
+module.exports = {
+  handleReactionChange,
+  refreshReactionTotals,
+};
@@ -0,0 +1,215 @@
+// =============================================================
+// shaping.js - Fitting relayed messages into Discord's limits
+// =============================================================
+// A message can be up to 2000 characters. Relaying adds a little
+// on top (a role ping, a reply quote, real mentions, file notes), so
+// a message that was close to the limit on its own server can be
+// too long for the others — and Discord rejects it outright.
+//
+// Instead, long content is split into several messages, sent one
+// after the other. Splits happen at the most natural place that
+// fits: between paragraphs, then lines, then sentences, then words.
+// Code blocks are kept whole; one that is too big by itself is
+// closed at the end of a part and reopened at the start of the next,
+// so both halves still show as code.
+//
+// Embeds have their own limits (title, description, fields...);
+// those are shortened with "…" rather than split.
+// =============================================================
+
+const MAX_CONTENT_LENGTH = 2000;
+
+const EMBED_LIMITS = {
+  embeds: 10,
+  total: 6000,
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  author: 256,
+};
+
+// Where text may be split, from most to least natural. The lookbehind
+// keeps the separator at the end of the piece before it.
+const BOUNDARIES = [
+  /(?<=\n\n)/, // paragraphs
+  /(?<=\n)/, // lines
+  /(?<=[.!?]\s)/, // sentences
+  /(?<=\s)/, // words
+];
+
+const CODE_BLOCK_REGEX = /```[\s\S]*?```/g;
+const CODE_FENCE = '```';
+
+/**
+ * Split a webhook payload into one payload per part of its content.
+ * The first part keeps the start of the text (so a role ping stays
+ * at the top); files, embeds and a poll go on the LAST part, so they
+ * appear below the text like they do on the original.
+ *
+ * @param {Object} payload - A webhook message
+ * @returns {Object[]} Payloads to send in order (always at least one)
+ */
+function shapePayload(payload) {
+  const shaped = { ...payload };
+  if (shaped.embeds) shaped.embeds = trimEmbeds(shaped.embeds);
+
+  const parts = splitContent(shaped.content);
+  if (parts.length <= 1) return [shaped];
+
+  const { files, embeds, poll, ...text } = shaped;
+  return parts.map((content, i) => (
+    i === parts.length - 1 ? { ...shaped, content } : { ...text, content }
+  ));
+}
+
+/**
+ * Split text into pieces of at most `limit` characters.
+ * Short text comes back unchanged, as a single piece.
+ */
+function splitContent(content, limit = MAX_CONTENT_LENGTH) {
+  if (!content || content.length <= limit) return [content];
+
+  const pieces = [];
+  let last = 0;
+  for (const match of content.matchAll(CODE_BLOCK_REGEX)) {
+    pieces.push(...splitAtBoundaries(content.slice(last, match.index), limit));
+    pieces.push(...splitCodeBlock(match[0], limit));
+    last = match.index + match[0].length;
+  }
+  pieces.push(...splitAtBoundaries(content.slice(last), limit));
+
+  // Put as many pieces as fit into each part
+  const parts = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += piece;
+  }
+  parts.push(current);
+
+  return parts.map(part => part.replace(/^\n+/, '').trimEnd()).filter(Boolean);
+}
+
+/**
+ * Cut text into pieces that each fit, trying the most natural
+ * boundary first and only falling back to the next one for pieces
+ * that are still too long.
+ */
+function splitAtBoundaries(text, limit, level = 0) {
+  if (text.length <= limit) return text ? [text] : [];
+  if (level >= BOUNDARIES.length) return hardSplit(text, limit);
+  return text.split(BOUNDARIES[level]).flatMap(piece => splitAtBoundaries(piece, limit, level + 1));
+}
+
+/**
+ * A code block that doesn't fit in one message is split by lines,
+ * and every piece gets its own fences (with the same language, so
+ * syntax highlighting carries over).
+ */
+function splitCodeBlock(block, limit) {
+  if (block.length <= limit) return [block];
+
+  const firstNewline = block.indexOf('\n');
+  const open = firstNewline === -1 ? CODE_FENCE : block.slice(0, firstNewline);
+  const body = block.slice(open.length, -CODE_FENCE.length).replace(/^\n/, '').replace(/\n$/, '');
+  const room = limit - open.length - CODE_FENCE.length - 2; // plus two newlines
+
+  return splitAtBoundaries(body, room, 1)
+    .reduce((chunks, line) => {
+      const lastChunk = chunks[chunks.length - 1];
+      if (lastChunk !== undefined && lastChunk.length + line.length <= room) {
+        chunks[chunks.length - 1] += line;
+      } else {
+        chunks.push(line);
+      }
+      return chunks;
+    }, [])
+    .map(chunk => `${open}\n${chunk.replace(/\n$/, '')}\n${CODE_FENCE}`);
+}
+
+/**
+ * Last resort for text with no usable boundary (a very long link,
+ * say): cut it every `limit` characters, never inside an emoji.
+ */
+function hardSplit(text, limit) {
+  const pieces = [''];
+  for (const char of text) {
+    if (pieces[pieces.length - 1].length + char.length > limit) pieces.push('');
+    pieces[pieces.length - 1] += char;
+  }
+  return pieces;
+}
+
+/**
+ * Shorten embeds to fit Discord's limits: at most 10 per message,
+ * per-field lengths, and 6000 characters across all of them.
+ * Accepts EmbedBuilders or plain embed objects; returns plain objects.
+ */
+function trimEmbeds(embeds) {
+  if (!embeds?.length) return embeds;
+
+  // Every text field counts toward the shared 6000 character total
+  let budget = EMBED_LIMITS.total;
+  const fit = (text, max) => {
+    if (!text) return text;
+    const trimmed = truncate(text, Math.min(max, budget));
+    budget -= trimmed.length;
+    return trimmed || undefined;
+  };
+
+  return embeds.slice(0, EMBED_LIMITS.embeds).map(raw => {
+    const embed = { ...(raw.toJSON ? raw.toJSON() : raw) };
+
+    if (embed.author) {
+      const name = fit(embed.author.name, EMBED_LIMITS.author);
+      if (name) embed.author = { ...embed.author, name };
+      else delete embed.author;
+    }
+    if (embed.title) embed.title = fit(embed.title, EMBED_LIMITS.title);
+    if (embed.description) embed.description = fit(embed.description, EMBED_LIMITS.description);
+    if (embed.fields) {
+      embed.fields = embed.fields.slice(0, EMBED_LIMITS.fields)
+        .map(field => ({
+          ...field,
+          name: fit(field.name, EMBED_LIMITS.fieldName),
+          value: fit(field.value, EMBED_LIMITS.fieldValue),
+        }))
+        .filter(field => field.name && field.value);
+    }
+    if (embed.footer) {
+      const text = fit(embed.footer.text, EMBED_LIMITS.footer);
+      if (text) embed.footer = { ...embed.footer, text };
+      else delete embed.footer;
+    }
+    return embed;
+  });
+}
+
+/**
+ * Shorten text to at most `max` characters, ending in "…".
+ * Goes character by character so an emoji is never cut in half.
+ */
+function truncate(text, max) {
+  if (text.length <= max) return text;
+  if (max <= 0) return '';
+  let out = '';
+  for (const char of text) {
+    if (out.length + char.length > max - 1) break;
+    out += char;
+  }
+  return `${out}…`;
+}
+
+module.exports = {
+  shapePayload,
+  splitContent,
+  trimEmbeds,
+  truncate,
+  MAX_CONTENT_LENGTH,
+};
@@ -0,0 +1,136 @@
+// =============================================================
+// threads.js - Bridging threads and forum posts
+// =============================================================
+// Two kinds of threads get bridged:
+//
+//   Threads on a bridged message - when someone starts a thread on
+//   a relayed message (the original or any copy), the bot starts a
+//   thread with the same name on that message's copy on every other
+//   server.
+//
+//   Forum posts - in a channel type marked "forum" (see config.js),
+//   every new post is relayed as a new forum post on the other
+//   servers, with the same title and the same tags. Tags are matched
+//   by name, since each server's forum has its own tag IDs.
+//
+// Either way, the copies are linked together in the relayed_threads
+// table, and any message posted inside one of them is relayed into
+// all the others (webhooks can post into a thread with "threadId").
+//
+// LEARNING NOTE: A thread started on a message gets the SAME ID as
+// that message, and a forum post gets the same ID as its first
+// message. That's how we find the relayed message a thread belongs to.
+// =============================================================
+
+const { ChannelType } = require('discord.js');
+const { identifyChannel, getRelayTargets } = require('../config');
+const { checkProfanity } = require('./moderation');
+const db = require('../database');
+
+// Discord allows at most 5 tags on a forum post
+const MAX_FORUM_TAGS = 5;
+
+/**
+ * Called when a thread is created in a bridged channel. If it was
+ * started on a bridged message, start a matching thread on every copy
+ * of that message. Forum posts are handled when their first message
+ * is relayed.
+ */
+async function mirrorThread(config, thread) {
+  const channelInfo = identifyChannel(config, thread.guildId, thread.parentId);
+  if (!channelInfo) return;
+
+  // Join, so the bot is sent the messages posted inside it
+  if (thread.joinable && !thread.joined) await thread.join().catch(() => {});
+
+  // Threads the bot made are our own mirrors
+  if (thread.ownerId === thread.client.user.id) return;
+  if (thread.parent?.type === ChannelType.GuildForum) return;
+  if (channelInfo.direction === 'receive') return;
+
+  const group = db.getRelayGroup(thread.id);
+  if (!group || db.getThreadGroup(thread.id).length > 0) return;
+
+  const targets = getRelayTargets(config, channelInfo.channelType, thread.guildId, channelInfo.network);
+  if (targets.length === 0) return;
+
+  const name = checkProfanity(thread.name, thread.guildId).cleaned;
+  db.addRelayedThread(thread.id, { guildId: thread.guildId, channelId: thread.parentId, threadId: thread.id });
+
+  // Required here because bridge.js requires this file too
+  const { findCopyInGuild } = require('../bridge');
+  await Promise.allSettled(targets.map(async (target) => {
+    const location = findCopyInGuild(group, target.guildId);
+    if (!location) return;
+    try {
+      const channel = thread.client.guilds.cache.get(target.guildId)?.channels.cache.get(location.channelId);
+      const message = await channel?.messages.fetch(location.messageId);
+      if (!message) return;
+      const mirror = await message.startThread({
+        name,
+        autoArchiveDuration: thread.autoArchiveDuration,
+        reason: 'PDH Bridge - mirroring a thread from another server',
+      });
+      db.addRelayedThread(thread.id, { guildId: target.guildId, channelId: location.channelId, threadId: mirror.id });
+    } catch (err) {
+      console.error(`[Threads] Couldn't mirror thread "${thread.name}" to guild ${target.guildId}:`, err.message);
+    }
+  }));
+}
+
+/**
+ * Work out where a message in a thread goes on each target server.
+ * Returns the targets with `threadId` (post inside that thread) or
+ * `forumPost` ({ threadName, appliedTags }, start a new post) added.
+ * Targets without a matching thread are dropped. Messages that
+ * aren't in a thread pass through unchanged.
+ */
+function routeThreadMessage(message, targets) {
+  const thread = message.channel;
+  if (!thread?.isThread()) return targets;
+
+  // The first message of a forum post starts a new post everywhere
+  if (thread.parent?.type === ChannelType.GuildForum && message.id === thread.id) {
+    const threadName = checkProfanity(thread.name, thread.guildId).cleaned;
+    return targets.flatMap((target) => {
+      const forum = message.client.guilds.cache.get(target.guildId)?.channels.cache.get(target.channelId);
+      if (forum?.type !== ChannelType.GuildForum) return [];
+      return [{ ...target, forumPost: { threadName, appliedTags: mapForumTags(thread, forum) } }];
+    });
+  }
+
+  // Anything else only goes where the thread has a mirror
+  const mirrors = db.getThreadGroup(thread.id);
+  return targets.flatMap((target) => {
+    const mirror = mirrors.find(m => m.guild_id === target.guildId);
+    return mirror ? [{ ...target, threadId: mirror.thread_id }] : [];
+  });
+}
+
+/**
+ * Translate a forum post's tags to the matching tags (same name,
+ * ignoring case) on another server's forum.
+ */
+function mapForumTags(thread, forum) {
+  const names = thread.appliedTags
+    .map(id => thread.parent.availableTags.find(tag => tag.id === id)?.name.toLowerCase())
+    .filter(Boolean);
+  return forum.availableTags
+    .filter(tag => names.includes(tag.name.toLowerCase()))
+    .map(tag => tag.id)
+    .slice(0, MAX_FORUM_TAGS);
+}
+
+/**
+ * A bridged message's channel, for looking up its channel type:
+ * messages in threads and forum posts belong to the parent channel.
+ */
+function getBridgeChannelId(channel) {
+  return channel?.isThread() ? channel.parentId : channel?.id;
+}
+
+module.exports = {
+  mirrorThread,
+  routeThreadMessage,
+  getBridgeChannelId,
+};
@@ -0,0 +1,174 @@
+// =============================================================
+// scheduler.js - Per-webhook send scheduler
+// =============================================================
+// Every webhook gets its own "lane": a first-in, first-out queue
+// of sends, edits and deletes that run ONE AT A TIME. Because each
+// bridged channel has exactly one webhook, this guarantees that two
+// quick messages always arrive on a target server in the order
+// they were written — they can't race each other and swap.
+//
+// Each lane also keeps track of Discord's rate-limit bucket for its
+// webhook. Discord tells us after every request how many requests
+// are left ("remaining") and when the bucket refills ("reset after").
+// When the bucket is empty, the lane pauses until it refills instead
+// of firing a request we know will be rejected.
+//
+// Coalescing: if a message gets edited several times while earlier
+// work is still queued, only the newest edit needs to go out. And if
+// a message is deleted, any edits still waiting for it are dropped.
+//
+// LEARNING NOTE ON QUEUES:
+// A "lane" here is like a single checkout line at a store. Different
+// lines (webhooks/servers) move independently, so a slow server
+// doesn't hold up the others — but within one line, people are
+// served strictly in the order they arrived.
+// =============================================================
+
+// How many times to wait out a rate limit before giving up on a task
+// (the delivery queue will retry it later)
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// webhook URL → { queue, running, blockedUntil }
+// One entry per bridged webhook, so this stays small.
+const lanes = new Map();
+
+function getLane(webhookUrl) {
+  let lane = lanes.get(webhookUrl);
+  if (!lane) {
+    lane = { queue: [], running: false, blockedUntil: 0 };
+    lanes.set(webhookUrl, lane);
+  }
+  return lane;
+}
+
+/**
+ * Queue a task on a webhook's lane. Resolves with whatever the task
+ * returns, once every task queued before it on that lane has run.
+ *
+ * @param {string} webhookUrl - Which lane to use
+ * @param {Function} run - async () => result; does the actual request
+ * @param {Object} options
+ * @param {string} options.coalesceKey - Tasks with the same key that are
+ *   still waiting get merged: only the newest `run` is used
+ * @param {string} options.cancels - Drop any waiting task with this
+ *   coalesce key (e.g. a delete cancels pending edits)
+ */
+function scheduleWebhookTask(webhookUrl, run, options = {}) {
+  const lane = getLane(webhookUrl);
+
+  if (options.cancels) {
+    lane.queue = lane.queue.filter(item => {
+      if (item.coalesceKey !== options.cancels) return true;
+      item.waiters.forEach(w => w.resolve(null));
+      return false;
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiting = options.coalesceKey
+      && lane.queue.find(item => item.coalesceKey === options.coalesceKey);
+
+    if (waiting) {
+      // Same message, newer content — replace the queued work
+      waiting.run = run;
+      waiting.waiters.push({ resolve, reject });
+    } else {
+      lane.queue.push({ run, coalesceKey: options.coalesceKey, waiters: [{ resolve, reject }] });
+    }
+
+    drainLane(lane);
+  });
+}
+
+/**
+ * Edit a webhook message, in order. Queued edits to the same
+ * message collapse into the newest one.
+ */
+function scheduleEdit(webhookUrl, webhook, messageId, payload) {
+  return scheduleWebhookTask(
+    webhookUrl,
+    () => webhook.editMessage(messageId, payload),
+    { coalesceKey: `edit:${messageId}` }
+  );
+}
+
+/**
+ * Delete a webhook message, in order. Edits still waiting for this
+ * message are dropped — there's no point editing something we're
+ * about to delete. Messages inside a thread need the thread's ID.
+ */
+function scheduleDelete(webhookUrl, webhook, messageId, threadId) {
+  return scheduleWebhookTask(
+    webhookUrl,
+    () => webhook.deleteMessage(messageId, threadId || undefined),
+    { cancels: `edit:${messageId}` }
+  );
+}
+
+/**
+ * Work through a lane's queue, one task at a time.
+ */
+async function drainLane(lane) {
+  if (lane.running) return;
+  lane.running = true;
+
+  while (lane.queue.length > 0) {
+    const item = lane.queue.shift();
+    try {
+      const result = await runWithRateLimits(lane, item);
+      item.waiters.forEach(w => w.resolve(result));
+    } catch (err) {
+      item.waiters.forEach(w => w.reject(err));
+    }
+  }
+
+  lane.running = false;
+}
+
+/**
+ * Run one task, waiting out the lane's rate limit first. If Discord
+ * rejects it with a rate limit anyway, wait the time it tells us and
+ * try again — still at the front of the lane, so order is kept.
+ */
+async function runWithRateLimits(lane, item) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = lane.blockedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+
+    try {
+      return await item.run();
+    } catch (err) {
+      if (!err.retryAfter || attempt >= MAX_RATE_LIMIT_RETRIES) throw err;
+      lane.blockedUntil = Date.now() + err.retryAfter;
+    }
+  }
+}
+
+/**
+ * Record rate-limit headers from a webhook response.
+ * Hooked up to each WebhookClient's REST "response" event in bridge.js.
+ *
+ * X-RateLimit-Remaining: requests left in the current bucket
+ * X-RateLimit-Reset-After: seconds until the bucket refills
+ */
+function noteRateLimitHeaders(webhookUrl, response) {
+  const remaining = response.headers?.get?.('x-ratelimit-remaining');
+  const resetAfter = response.headers?.get?.('x-ratelimit-reset-after');
+  if (remaining === null || remaining === undefined || !resetAfter) return;
+
+  if (parseInt(remaining) === 0) {
+    const lane = getLane(webhookUrl);
+    lane.blockedUntil = Math.max(lane.blockedUntil, Date.now() + parseFloat(resetAfter) * 1000);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  scheduleWebhookTask,
+  scheduleEdit,
+  scheduleDelete,
+  noteRateLimitHeaders,
+};
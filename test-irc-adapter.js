@@ -0,0 +1,163 @@
+// =============================================================
+// test-irc-adapter.js — Check the IRC adapter against a fake server
+// =============================================================
+// Starts a tiny stand-in IRC server on this machine, points the
+// adapter at it, and walks through a conversation:
+//
+//   1. The adapter asks for the account capabilities, registers
+//      (NICK/USER) and joins the channel
+//   2. It answers the server's PING
+//   3. A message posted in the channel reaches onMessage
+//      (with colour codes stripped, and /me turned into _text_)
+//   4. Users keep their ID across nick changes, and taking someone
+//      else's nick doesn't get you their ID
+//   5. A relayed message from the bridge arrives as a PRIVMSG
+//   6. Line breaks and control characters in relayed text can't
+//      smuggle in IRC commands
+//   7. A private notice (strike DM) reaches the user
+//   8. With requireAccount, users who aren't logged in aren't relayed
+//
+// Nothing here touches Discord or the real config.
+//
+// USAGE:  node test-irc-adapter.js
+// =============================================================
+
+const net = require('net');
+const { createAdapter } = require('./src/adapters/irc');
+
+const CHANNEL = '#pdh';
+const TIMEOUT_MS = 10000;
+
+let passed = 0;
+let failed = 0;
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (ok) passed++; else failed++;
+}
+
+// Resolves with the first line from the client that matches
+function waitForLine(lines, pattern) {
+  return new Promise((resolve) => {
+    const look = () => {
+      const found = lines.find(line => pattern.test(line));
+      if (found) return resolve(found);
+      setTimeout(look, 50);
+    };
+    look();
+  });
+}
+
+async function main() {
+  const received = [];
+  let clientSocket = null;
+
+  // --- The stand-in server: records what it's sent, plays along ---
+  const server = net.createServer((socket) => {
+    clientSocket = socket;
+    socket.setEncoding('utf8');
+    let buffer = '';
+    let nick = null;
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        received.push(line);
+        if (line === 'CAP LS 302') socket.write(':irc.test CAP * LS * :multi-prefix account-tag\r\n:irc.test CAP * LS :extended-join sasl\r\n');
+        if (line.startsWith('CAP REQ :')) socket.write(`:irc.test CAP * ACK :${line.slice(9)}\r\n`);
+        if (line.startsWith('NICK ')) nick = line.slice(5);
+        if (line.startsWith('USER ')) socket.write(`:irc.test 001 ${nick} :Welcome to the test network\r\n`);
+        if (line.startsWith('JOIN ')) socket.write(`:${nick}!bot@test JOIN ${line.slice(5)}\r\n`);
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  // --- The adapter under test ---
+  const inbound = [];
+  const adapter = createAdapter(
+    { id: 'testnet', adapter: 'irc', options: { host: '127.0.0.1', port, nick: 'PDHBridge', channel: CHANNEL } },
+    { onMessage: message => inbound.push(message) }
+  );
+  await adapter.start();
+
+  check('Asks for the account capabilities the server has', received.includes('CAP REQ :account-tag extended-join'));
+  check('Ends capability negotiation', !!await waitForLine(received, /^CAP END$/));
+  check('Registers with NICK and USER', received.includes('NICK PDHBridge') && received.some(l => l.startsWith('USER PDHBridge')));
+  check('Joins the channel after the welcome', received.includes(`JOIN ${CHANNEL}`));
+
+  clientSocket.write('PING :irc.test\r\n');
+  check('Answers PING with PONG', !!await waitForLine(received, /^PONG :irc\.test$/));
+
+  clientSocket.write(`@account=Alice :alice!alice@test PRIVMSG ${CHANNEL} :\x0304hello\x03 from IRC\r\n`);
+  clientSocket.write(`:Bob!bob@test PRIVMSG ${CHANNEL} :\x01ACTION waves\x01\r\n`);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  check('Passes channel messages to onMessage', inbound[0]?.content === 'hello from IRC' && inbound[0]?.userId === 'testnet:alice');
+  check('Turns /me into _text_', inbound[1]?.content === '_waves_' && inbound[1]?.username === 'Bob');
+  check('Uses user@host for users without an account', inbound[1]?.userId === 'testnet:bob@test');
+
+  // --- Nick changes ---
+  clientSocket.write(`:alice!alice@test NICK :alice_away\r\n`);
+  clientSocket.write(`@account=Alice :alice_away!alice@test PRIVMSG ${CHANNEL} :new nick\r\n`);
+  // extended-join tells us Carol's account; her messages carry no tag
+  clientSocket.write(`:carol!carol@test JOIN ${CHANNEL} carol :Carol\r\n`);
+  clientSocket.write(`:carol!carol@test NICK :carol2\r\n`);
+  clientSocket.write(`:carol2!carol@test PRIVMSG ${CHANNEL} :still carol\r\n`);
+  // Someone else picks up the nick "alice" without logging in as her
+  clientSocket.write(`:alice!mallory@evil.example PRIVMSG ${CHANNEL} :i am alice\r\n`);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  check('Keeps the account ID across a nick change', inbound[2]?.userId === 'testnet:alice' && inbound[2]?.username === 'alice_away');
+  check('Follows extended-join accounts across a nick change', inbound[3]?.userId === 'testnet:carol');
+  check('A borrowed nick doesn\'t get the owner\'s ID', inbound[4]?.userId === 'testnet:mallory@evil.example');
+
+  await adapter.send({
+    username: 'Alice · cPDH',
+    content: 'Hi from Discord',
+    attachments: [{ name: 'deck.png', url: 'https://cdn.example/deck.png' }],
+  });
+  check('Relays messages from the bridge', !!await waitForLine(received, /^PRIVMSG #pdh :<Alice · cPDH> Hi from Discord$/));
+  check('Sends attachments as links', !!await waitForLine(received, /^PRIVMSG #pdh :<Alice · cPDH> 📎 deck\.png: https:\/\/cdn\.example\/deck\.png$/));
+
+  await adapter.send({ username: 'Mallory', content: 'hi\rQUIT :bye\r\nPRIVMSG NickServ :DROP\0 x\x01ACTION y' });
+  await waitForLine(received, /^PRIVMSG #pdh :<Mallory> PRIVMSG NickServ/);
+  const expected = ['hi', 'QUIT :bye', 'PRIVMSG NickServ :DROP xACTION y'].map(text => `PRIVMSG #pdh :<Mallory> ${text}`);
+  check('Splits relayed text on every kind of line break', expected.every(line => received.includes(line)));
+  check('Never sends raw CR, NUL or CTCP characters', !received.some(line => /[\r\0\x01]/.test(line)) && !received.includes('QUIT :bye'));
+
+  await inbound[0].notify('Strike notice');
+  check('Sends private notices to the user', !!await waitForLine(received, /^PRIVMSG alice :Strike notice$/));
+
+  adapter.stop();
+
+  // --- requireAccount: only logged-in users are relayed ---
+  const strictInbound = [];
+  const strict = createAdapter(
+    { id: 'strict', adapter: 'irc', options: { host: '127.0.0.1', port, nick: 'PDHStrict', channel: CHANNEL, requireAccount: true } },
+    { onMessage: message => strictInbound.push(message) }
+  );
+  await strict.start();
+  clientSocket.write(`:dave!dave@test PRIVMSG ${CHANNEL} :not logged in\r\n`);
+  clientSocket.write(`:dave!dave@test PRIVMSG ${CHANNEL} :still not logged in\r\n`);
+  clientSocket.write(`@account=erin :erin!erin@test PRIVMSG ${CHANNEL} :logged in\r\n`);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  check('Drops messages from users without an account', strictInbound.length === 1 && strictInbound[0].userId === 'strict:erin');
+  await waitForLine(received, /^PRIVMSG dave :/);
+  await new Promise(resolve => setTimeout(resolve, 700));
+  check('Tells them why, once', received.filter(line => line.startsWith('PRIVMSG dave :')).length === 1);
+
+  strict.stop();
+  server.close();
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+setTimeout(() => {
+  console.error('❌ Timed out waiting for the adapter');
+  process.exit(1);
+}, TIMEOUT_MS).unref();
+
+main().catch((err) => {
+  console.error('❌', err);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+// =============================================================
+// test-reaction-totals.js — Check reaction totals on RSS articles
+// =============================================================
+// News articles from the RSS feed are posted by broadcastEmbed, not
+// relayed from a Discord message. This walks one article through
+// the bridge with stand-in webhooks and servers:
+//
+//   1. The article is posted to every server's news channel
+//   2. Each copy is recorded in the same relay group
+//   3. Reacting on one copy writes the network-wide totals onto
+//      every copy (on servers with reaction sync on)
+//
+// Nothing here touches Discord, and the database lives in memory.
+//
+// USAGE:  node test-reaction-totals.js
+// =============================================================
+
+const { EmbedBuilder } = require('discord.js');
+const db = require('./src/database');
+const scheduler = require('./src/scheduler');
+
+const TIMEOUT_MS = 10000;
+const ARTICLE_URL = 'https://example.com/new-article';
+
+let passed = 0;
+let failed = 0;
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (ok) passed++; else failed++;
+}
+
+// --- Stand-ins, installed before the modules that use them load ---
+db.initDatabase(':memory:');
+
+const edits = [];
+scheduler.scheduleEdit = async (webhookUrl, webhook, messageId, payload) => {
+  edits.push({ messageId, content: payload.content });
+};
+
+const bridge = require('./src/bridge');
+const sent = new Map(); // message ID → { channelId, content }
+bridge.getWebhookClient = (webhookUrl) => {
+  const channelId = webhookUrl.split('/').pop();
+  return {
+    send: async (payload) => {
+      const id = `copy-in-${channelId}`;
+      sent.set(id, { channelId, content: payload.content || '' });
+      return { id, channel_id: channelId };
+    },
+    fetchMessage: async id => ({ id, content: sent.get(id)?.content || '' }),
+  };
+};
+
+const { getArticleSource } = require('./src/modules/news');
+const { handleReactionChange } = require('./src/modules/reactions');
+
+// Two servers with reaction sync on, each with a news channel
+const config = {
+  servers: {
+    g1: { name: 'One', reactionSync: true, channels: { news: 'news1' }, webhooks: { news: 'https://webhook.test/news1' } },
+    g2: { name: 'Two', reactionSync: true, channels: { news: 'news2' }, webhooks: { news: 'https://webhook.test/news2' } },
+  },
+  channelTypes: { news: { label: 'News', reactionTotals: true } },
+  networks: { main: {} },
+  endpoints: {},
+  settings: {},
+};
+
+// What each copy's reactions look like when the bot fetches it
+const reactions = { 'copy-in-news1': 3, 'copy-in-news2': 2 };
+const client = {
+  guilds: {
+    cache: new Map(['g1', 'g2'].map(guildId => [guildId, {
+      channels: {
+        cache: new Map([[config.servers[guildId].channels.news, {
+          messages: {
+            fetch: async id => ({
+              reactions: { cache: new Map([['👍', { emoji: { id: null, name: '👍' }, count: reactions[id] || 0 }]]) },
+            }),
+          },
+        }]]),
+      },
+    }])),
+  },
+};
+
+async function main() {
+  const embed = new EmbedBuilder().setTitle('A new article').setURL(ARTICLE_URL);
+  const results = await bridge.broadcastEmbed(config, 'news', embed, {
+    username: 'PDH News',
+    relaySource: getArticleSource(ARTICLE_URL, 'main'),
+  });
+  check('Posts the article on every server', results.length === 2);
+
+  const group = db.getRelayGroup('copy-in-news2');
+  check('Records the copies as one relay group', group?.copies.length === 2 && group.channelType === 'news');
+
+  handleReactionChange(client, config, {
+    id: 'copy-in-news2', guildId: 'g2', channelId: 'news2',
+    channel: { id: 'news2', isThread: () => false },
+  });
+
+  // Recounts are debounced, so give it a moment
+  await new Promise(resolve => setTimeout(resolve, 3500));
+  const footer = '-# Reactions across PDH: 👍 5';
+  check('Writes the network-wide totals onto every copy',
+    ['copy-in-news1', 'copy-in-news2'].every(id => edits.some(edit => edit.messageId === id && edit.content === footer)));
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+setTimeout(() => {
+  console.error('❌ Timed out');
+  process.exit(1);
+}, TIMEOUT_MS).unref();
+
+main().catch((err) => {
+  console.error('❌', err);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+// =============================================================
+// test-shaping.js — Check how long messages are fitted to Discord
+// =============================================================
+// Runs shaping.js on made-up messages and checks that:
+//
+//   1. Long content is split into parts of at most 2000 characters,
+//      at the most natural boundary, without losing any text
+//   2. Code blocks stay whole, or keep their fences on every part
+//      when they're too big by themselves
+//   3. Text with no boundary at all is cut hard, never inside an emoji
+//   4. Files, embeds and polls end up on the last part
+//   5. Embeds are shortened to Discord's limits
+//
+// Nothing here touches Discord.
+//
+// USAGE:  node test-shaping.js
+// =============================================================
+
+const { EmbedBuilder } = require('discord.js');
+const { shapePayload, splitContent, trimEmbeds, MAX_CONTENT_LENGTH } = require('./src/modules/shaping');
+
+let passed = 0;
+let failed = 0;
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (ok) passed++; else failed++;
+}
+
+const fits = parts => parts.every(part => part.length <= MAX_CONTENT_LENGTH);
+const words = text => text.split(/\s+/).filter(Boolean).join(' ');
+const fenceCount = text => (text.match(/```/g) || []).length;
+// A lone half of a surrogate pair means an emoji was cut in two
+const hasBrokenEmoji = text => /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(text);
+
+// --- Plain text ---
+check('Leaves short text as one part', splitContent('hello').length === 1 && splitContent('hello')[0] === 'hello');
+check('Leaves empty content alone', splitContent('').length === 1 && splitContent(undefined)[0] === undefined);
+
+const exact = 'a'.repeat(MAX_CONTENT_LENGTH);
+check('Keeps text of exactly 2000 characters in one part', splitContent(exact).length === 1);
+
+const paragraph = `${'word '.repeat(299)}word.`; // 1500 characters
+const paragraphs = splitContent(`${paragraph}\n\n${paragraph}`);
+check('Splits between paragraphs', paragraphs.length === 2 && paragraphs.every(part => part === paragraph));
+
+const sentences = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} is here and it goes on for a bit.`).join(' ');
+const sentenceParts = splitContent(sentences);
+check('Splits long prose into parts that fit', sentenceParts.length === 2 && fits(sentenceParts));
+check('Ends each part at the end of a sentence', sentenceParts.slice(0, -1).every(part => part.endsWith('.')));
+check('Keeps every word', words(sentenceParts.join(' ')) === words(sentences));
+
+// --- Code blocks ---
+const shortBlock = `\`\`\`js\n${'const x = 1;\n'.repeat(60)}\`\`\``; // ~790 characters
+const beforeBlock = `${'word '.repeat(299)}word.\n`;
+const blockParts = splitContent(`${beforeBlock}${shortBlock}`);
+check('Moves a code block that fits to the next part whole',
+  blockParts.length === 2 && blockParts[1] === shortBlock && fenceCount(blockParts[0]) === 0);
+
+const longBlock = `\`\`\`js\n${Array.from({ length: 200 }, (_, i) => `const line${i} = ${i};`).join('\n')}\n\`\`\``;
+const longBlockParts = splitContent(`Here's the file:\n${longBlock}\nThat's all.`);
+const codeParts = longBlockParts.filter(part => part.includes('```'));
+check('Splits a code block too big for one part', codeParts.length >= 2 && fits(longBlockParts));
+check('Gives every piece of the block its own fences', codeParts.every(part => fenceCount(part) === 2));
+check('Carries the language over to every piece', codeParts.every(part => part.startsWith('```js\n')));
+check('Keeps every line of the code',
+  words(longBlockParts.join('\n').replace(/```(js)?/g, '')) === words(`Here's the file:\n${longBlock}\nThat's all.`.replace(/```(js)?/g, '')));
+
+// --- No boundaries ---
+const link = `https://example.com/${'x'.repeat(4480)}`; // 4500 characters
+const linkParts = splitContent(link);
+check('Cuts text with no spaces every 2000 characters',
+  linkParts.length === 3 && linkParts[0].length === 2000 && linkParts[1].length === 2000 && linkParts.join('') === link);
+
+const emoji = '🌲'.repeat(1500); // 3000 UTF-16 characters
+const emojiParts = splitContent(emoji);
+check('Never cuts an emoji in half', fits(emojiParts) && emojiParts.every(part => !hasBrokenEmoji(part)) && emojiParts.join('') === emoji);
+
+// --- Whole payloads ---
+const payload = {
+  content: `${paragraph}\n\n${paragraph}`,
+  username: 'Someone',
+  files: ['file.png'],
+  embeds: [{ title: 'Embed' }],
+  poll: { question: { text: 'Poll?' } },
+};
+const shaped = shapePayload(payload);
+const last = shaped[shaped.length - 1];
+check('Returns one payload per part, each with the sender', shaped.length === 2 && shaped.every(part => part.username === 'Someone'));
+check('Puts files, embeds and the poll on the last part only',
+  last.files?.length === 1 && last.embeds?.length === 1 && last.poll
+  && shaped.slice(0, -1).every(part => !part.files && !part.embeds && !part.poll));
+check('Leaves a short payload as it is', shapePayload({ content: 'hi', files: ['a'] }).length === 1);
+
+// --- Embeds ---
+const [long] = trimEmbeds([{ title: 't'.repeat(300), description: 'd'.repeat(5000) }]);
+check('Shortens titles and descriptions with "…"',
+  long.title.length === 256 && long.title.endsWith('…') && long.description.length === 4096 && long.description.endsWith('…'));
+
+check('Keeps at most 10 embeds', trimEmbeds(Array.from({ length: 12 }, () => ({ title: 'x' }))).length === 10);
+
+const many = trimEmbeds(Array.from({ length: 3 }, () => ({ description: 'd'.repeat(4000) })));
+const total = many.reduce((sum, embed) => sum + (embed.description?.length || 0), 0);
+check('Keeps all embeds within 6000 characters in total', total <= 6000);
+
+const [withFields] = trimEmbeds([{ fields: Array.from({ length: 30 }, (_, i) => ({ name: `Field ${i}`, value: 'v' })) }]);
+check('Keeps at most 25 fields', withFields.fields.length === 25);
+
+const [footer] = trimEmbeds([{ footer: { text: 'f'.repeat(3000) } }]);
+check('Shortens footers', footer.footer.text.length === 2048);
+
+const [built] = trimEmbeds([new EmbedBuilder().setTitle('Built')]);
+check('Accepts EmbedBuilders', built.title === 'Built' && !built.toJSON);
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,91 @@
+// =============================================================
+// test-strike-decay.js — Check how strikes wear off over time
+// =============================================================
+// Walks made-up strike histories through the decay rules in
+// database.js and checks that:
+//
+//   1. Every decayDays clean days forgive one strike, oldest first
+//   2. Time spent suspended doesn't count as clean
+//   3. A new strike starts a new clean stretch, and the count never
+//      goes below zero
+//   4. Overturned strikes don't count at all
+//
+// The database lives in memory, so nothing here touches bridge.db.
+//
+// USAGE:  node test-strike-decay.js
+// =============================================================
+
+const db = require('./src/database');
+
+let passed = 0;
+let failed = 0;
+function check(label, ok) {
+  console.log(`${ok ? '✅' : '❌'} ${label}`);
+  if (ok) passed++; else failed++;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+const day = n => START + n * DAY_MS;
+
+// A strike_history row as the walk sees it. created_at is in SQLite's
+// format (UTC, no "Z"); suspended_until is an ISO string.
+function strike(id, onDay, suspendedDays = 0) {
+  return {
+    id,
+    created_at: new Date(day(onDay)).toISOString().slice(0, 19).replace('T', ' '),
+    suspended_until: suspendedDays > 0 ? new Date(day(onDay + suspendedDays)).toISOString() : null,
+  };
+}
+const forgiven = result => [...result.forgivenIds].sort((a, b) => a - b).join(',');
+
+// --- Decay off ---
+const three = [strike(1, 0), strike(2, 1), strike(3, 2)];
+let result = db.walkStrikeDecay(three, 0, day(1000));
+check('Counts every strike when decay is off', result.count === 3 && result.forgivenIds.size === 0);
+check('Counts nothing with no strikes', db.walkStrikeDecay([], 90, day(0)).count === 0);
+
+// --- Clean stretches ---
+result = db.walkStrikeDecay([strike(1, 0)], 90, day(89));
+check('Keeps a strike until a full window has passed', result.count === 1);
+result = db.walkStrikeDecay([strike(1, 0)], 90, day(91));
+check('Forgives a strike after one clean window', result.count === 0 && forgiven(result) === '1');
+
+result = db.walkStrikeDecay(three, 90, day(2 + 180));
+check('Forgives one strike per window, oldest first', result.count === 1 && forgiven(result) === '1,2');
+
+result = db.walkStrikeDecay(three, 90, day(5000));
+check('Never goes below zero', result.count === 0 && forgiven(result) === '1,2,3');
+
+result = db.walkStrikeDecay([strike(1, 0), strike(2, 80)], 90, day(160));
+check('Starts a new clean stretch at each strike', result.count === 2);
+
+result = db.walkStrikeDecay([strike(1, 0), strike(2, 200)], 90, day(201));
+check('Doesn\'t save up windows from before a strike', result.count === 1 && forgiven(result) === '1');
+
+// --- Suspensions ---
+result = db.walkStrikeDecay([strike(1, 0, 60)], 90, day(120));
+check('Doesn\'t count time spent suspended as clean', result.count === 1);
+result = db.walkStrikeDecay([strike(1, 0, 60)], 90, day(151));
+check('Counts clean time from the end of the suspension', result.count === 0);
+
+// The suspended strike is the newer one, but decay still forgives
+// the oldest strike first once the suspension is over
+result = db.walkStrikeDecay([strike(1, 0), strike(2, 10, 90)], 90, day(195));
+check('Forgives the oldest strike after a suspension ends', result.count === 1 && forgiven(result) === '1');
+
+// --- Through the database ---
+db.initDatabase(':memory:');
+const settings = { strikeLadder: ['warning', '1d'], strikeDecayDays: 90 };
+const first = db.addStrike('user-1', 'someone', 'discussion', 'g1', 'first', settings);
+const second = db.addStrike('user-1', 'someone', 'discussion', 'g1', 'second', settings);
+check('Climbs the ladder with the effective count', first.strikeCount === 1 && second.strikeCount === 2);
+check('Reads strikes back from the database', db.getEffectiveStrikeCount('user-1', 90) === 2);
+
+db.overturnStrike(first.strikeId);
+result = db.getStrikeDecay('user-1', 90);
+check('Leaves overturned strikes out', result.count === 1 && db.getEffectiveStrikeCount('user-1', 0) === 1);
+check('Decays with the time given', db.getEffectiveStrikeCount('user-1', 90, Date.now() + 200 * DAY_MS) === 0);
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);